@@ -5,106 +5,57 @@
 
 const { addonBuilder } = require('stremio-addon-sdk');
 const { CatalogHandler, MetaHandler, StreamHandler } = require('./lib/handlers');
-const { buildFullUrl } = require('./lib/config');
+const { BASE_MANIFEST, getBaseManifest } = require('./lib/manifest');
 
 const config = require('./lib/config');
 const logger = require('./lib/logger');
-const constants = require('./lib/constants');
 const HanimeApiClient = require('./lib/clients/hanime_api_client');
 const UserApiManager = require('./lib/clients/user_api_manager');
+const SeriesIndex = require('./lib/services/series_index');
+const TrendingService = require('./lib/services/trending_service');
+const TaxonomyService = require('./lib/services/taxonomy_service');
+const SearchIndex = require('./lib/services/search_index');
+const UpcomingService = require('./lib/services/upcoming_service');
+const AccountService = require('./lib/services/account_service');
+const HistoryService = require('./lib/services/history_service');
+const HlsProxyService = require('./lib/services/hls_proxy_service');
 const apiClient = new HanimeApiClient(config);
 const userApiManager = new UserApiManager();
-const catalogHandler = new CatalogHandler(apiClient, logger, config);
-const metaHandler = new MetaHandler(apiClient, logger, config);
-const streamHandler = new StreamHandler(apiClient, logger, config, userApiManager);
+const searchIndex = new SearchIndex(config);
+const seriesIndex = new SeriesIndex(apiClient, config, searchIndex);
+const trendingService = new TrendingService(apiClient, config);
+const taxonomyService = new TaxonomyService(apiClient, config);
+const upcomingService = new UpcomingService(apiClient, config);
+const accountService = new AccountService(userApiManager);
+const historyService = new HistoryService(apiClient, userApiManager, config);
+const hlsProxyService = new HlsProxyService(config);
+const catalogHandler = new CatalogHandler(apiClient, logger, config, seriesIndex, trendingService, searchIndex, upcomingService, accountService, historyService);
+const metaHandler = new MetaHandler(apiClient, logger, config, seriesIndex, searchIndex);
+const streamHandler = new StreamHandler(apiClient, logger, config, userApiManager, historyService, hlsProxyService);
 
-const manifest = {
-  id: config.addon.id,
-  version: config.addon.version,
-  behaviorHints: {
-    adult: true,
-    configurable: true,
-    configurationRequired: true
-  },
-  config: [
-    {
-      key: 'email',
-      title: 'Email',
-      type: 'text',
-      required: true
-    },
-    {
-      key: 'password',
-      title: 'Password',
-      type: 'password',
-      required: true
-    }
-  ],
-  catalogs: [
-    // Anime catalogs
-    {
-      type: constants.contentTypes.ANIME,
-      name: 'Hanime',
-      id: constants.catalogCategories.HANIME,
-      extra: constants.catalogExtras
-    },
-    {
-      type: constants.contentTypes.ANIME,
-      name: 'Hanime Recent',
-      id: constants.catalogCategories.RECENT,
-      extra: constants.catalogExtras
-    },
-    {
-      type: constants.contentTypes.ANIME,
-      name: 'Hanime Most Likes',
-      id: constants.catalogCategories.MOST_LIKES,
-      extra: constants.catalogExtras
-    },
-    {
-      type: constants.contentTypes.ANIME,
-      name: 'Hanime Most Views',
-      id: constants.catalogCategories.MOST_VIEWS,
-      extra: constants.catalogExtras
-    },
-    {
-      type: constants.contentTypes.ANIME,
-      name: 'Hanime Newest',
-      id: constants.catalogCategories.NEWEST,
-      extra: constants.catalogExtras
-    },
-    // Series catalogs
-    {
-      type: constants.contentTypes.SERIES,
-      name: 'Hanime Series',
-      id: constants.catalogCategories.SERIES,
-      extra: constants.catalogExtras
-    }
-  ],
-  resources: ['catalog', 'stream', 'meta'],
-  types: [constants.contentTypes.ANIME, constants.contentTypes.SERIES],
-  idPrefixes: [constants.addonPrefix],
-  name: config.addon.name,
-  icon: buildFullUrl(config.addon.icon),
-  logo: buildFullUrl(config.addon.logo),
-  background: buildFullUrl(config.addon.background),
-  description: config.addon.description
-};
-
-if (config.addon.stremioAddonsConfig) {
-  manifest.stremioAddonsConfig = config.addon.stremioAddonsConfig;
-}
-
-const builder = new addonBuilder(manifest);
+// The full catalog list exceeds the SDK's manifest size limit, the fitted manifest stays within it
+const builder = new addonBuilder(getBaseManifest());
 
 builder.defineCatalogHandler((args) => catalogHandler.handle(args));
 builder.defineMetaHandler((args) => metaHandler.handle(args));
 builder.defineStreamHandler((args) => streamHandler.handle(args));
 
+/**
+ * Start the background crawls (search index saves, series index, trending snapshots and taxonomy refreshes)
+ * Only the long-running server starts them, serverless functions read what it stored in the cache backend
+ */
+function startBackgroundTasks() {
+  taxonomyService.start();
+  searchIndex.start();
+  seriesIndex.start();
+  trendingService.start();
+}
+
 logger.info('Addon initialized', {
   addon: {
     id: config.addon.id,
     name: config.addon.name,
-    version: manifest.version
+    version: BASE_MANIFEST.version
   },
   server: {
     port: config.server.port,
@@ -135,9 +86,45 @@ logger.info('Addon initialized', {
   },
   pagination: {
     itemsPerPage: config.pagination.itemsPerPage
+  },
+  seriesIndex: {
+    enabled: config.seriesIndex.enabled,
+    refreshInterval: `${config.seriesIndex.refreshInterval / 60 / 60} hours`
+  },
+  trending: {
+    enabled: config.trending.enabled,
+    snapshotInterval: `${config.trending.snapshotInterval / 60 / 60} hours`
+  },
+  searchIndex: {
+    enabled: config.searchIndex.enabled,
+    maxVideos: config.searchIndex.maxVideos
+  },
+  streamProxy: {
+    enabled: config.streamProxy.enabled,
+    proxySegments: config.streamProxy.proxySegments,
+    secret: config.streamProxy.secret ? 'set' : 'not set'
+  },
+  history: {
+    enabled: config.history.enabled,
+    maxEntries: config.history.maxEntries
   }
 });
 
+if (process.env.HISTORY_ENABLED !== 'false' && !config.history.enabled) {
+  logger.warn('Watch history disabled: serverless functions need CACHE_REDIS_URL or CACHE_POSTGRES_URL to share it');
+}
+
+if (process.env.STREAM_PROXY_ENABLED !== 'false' && !config.streamProxy.secret) {
+  logger.warn('Stream proxy disabled: set STREAM_PROXY_SECRET to offer the "Proxy Streams" setting');
+}
+
 module.exports = builder.getInterface();
 module.exports.apiClient = apiClient; // Export apiClient for use in middleware
 module.exports.userApiManager = userApiManager; // Export userApiManager for use in middleware
+module.exports.seriesIndex = seriesIndex; // Export seriesIndex for use in middleware
+module.exports.taxonomyService = taxonomyService; // Export taxonomyService for manifests and the landing page
+module.exports.searchIndex = searchIndex; // Export searchIndex for use in middleware
+module.exports.upcomingService = upcomingService; // Export upcomingService for the calendar feed
+module.exports.accountService = accountService; // Export accountService for per-user manifests
+module.exports.hlsProxyService = hlsProxyService; // Export hlsProxyService for the stream proxy
+module.exports.startBackgroundTasks = startBackgroundTasks; // Started by the long-running server only
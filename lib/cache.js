@@ -6,6 +6,7 @@
 
 const { createKeyv } = require('cacheable');
 const { createKeyv: createKeyvRedis } = require('@keyv/redis');
+const { createKeyv: createKeyvPostgres } = require('@keyv/postgres');
 const { Keyv } = require('keyv');
 const { KeyvCacheableMemory } = require('cacheable');
 const config = require('./config');
@@ -15,12 +16,23 @@ const META_KEY_PREFIX = `meta`;
 const CATALOG_KEY_PREFIX = `catalog`;
 const STREAM_KEY_PREFIX = `stream`;
 const BINARY_IMAGES_KEY_PREFIX = `binary-images`;
+const INDEX_KEY_PREFIX = `index`;
+const SNAPSHOT_KEY_PREFIX = `snapshot`;
+const TAXONOMY_KEY_PREFIX = `taxonomy`;
+const ACCOUNT_KEY_PREFIX = `account`;
+const HISTORY_KEY_PREFIX = `history`;
+const MASTER_PLAYLIST_KEY_PREFIX = `master-playlist`;
 
 // TTL values in milliseconds
 const CATALOG_TTL = config.cache.ttl.catalog * 1000;
 const META_TTL = config.cache.ttl.meta * 1000;
 const STREAM_TTL = config.cache.ttl.stream * 1000;
 const BINARY_IMAGES_TTL = config.cache.ttl.image * 1000;
+const INDEX_TTL = config.cache.ttl.index * 1000;
+const SNAPSHOT_TTL = config.cache.ttl.snapshot * 1000;
+const TAXONOMY_TTL = config.cache.ttl.taxonomy * 1000;
+const ACCOUNT_TTL = config.cache.ttl.account * 1000;
+const HISTORY_TTL = config.cache.ttl.history * 1000;
 
 const NO_CACHE = !config.cache.enabled;
 const MAX_SIZE = config.cache.maxSize;
@@ -50,7 +62,7 @@ function _handleConnectionError(err) {
 
 /**
  * Create multi-level cache stores
- * Always includes in-memory store (L1), optionally adds Redis (L2)
+ * Always includes in-memory store (L1), optionally adds Redis or Postgres (L2)
  * Returns simple object with stores array for direct access
  * @private
  * @returns {Object|null} Cache object with stores array, or null if caching is disabled
@@ -88,6 +100,22 @@ function _createMultiCache() {
       });
       logger.debug('Single-level cache enabled: In-memory only (Redis initialization failed)');
     }
+  } else if (config.cache.postgresUrl) {
+    try {
+      logger.info(`Using Postgres cache store: ${config.cache.postgresUrl.replace(/\/\/.*@/, '//***@')}`);
+      const postgresStore = createKeyvPostgres({ uri: config.cache.postgresUrl });
+
+      // Attach error handler immediately to prevent unhandled errors
+      postgresStore.on('error', _handleConnectionError);
+
+      stores.push(postgresStore);
+      logger.info('Two-level cache enabled: In-memory (L1) + Postgres (L2)');
+    } catch (err) {
+      logger.warn('Failed to initialize Postgres cache store, falling back to in-memory only', {
+        error: err.message
+      });
+      logger.debug('Single-level cache enabled: In-memory only (Postgres initialization failed)');
+    }
   } else {
     logger.debug('Single-level cache enabled: In-memory only');
   }
@@ -123,19 +151,16 @@ function _shouldCache(data) {
 }
 
 /**
- * Optimized cache wrapper function with write-back pattern
- * - Writes to L1 (memory) immediately (fast)
- * - Writes to L2 (Redis) asynchronously in background (non-blocking)
- * - Reduces Redis command count by ~50%
+ * Read a key from the cache stores
+ * Tries L1 (memory) first, then L2 (Redis) with async promotion to L1
  * @private
  * @param {Object|null} cache - Cache object with stores array
  * @param {string} key - Cache key
- * @param {Function} method - Async function to cache
- * @param {number} ttl - Time to live in milliseconds
- * @returns {Promise} Cached result
+ * @param {number} ttl - Time to live in milliseconds (used when promoting to L1)
+ * @returns {Promise<*>} Cached value or undefined on miss
  */
-async function _cacheWrap(cache, key, method, ttl) {
-  if (!cache) return method();
+async function _cacheGet(cache, key, ttl) {
+  if (!cache) return undefined;
 
   const stores = cache.stores || [];
   const l1Store = stores[0]; // Memory store (L1)
@@ -170,21 +195,31 @@ async function _cacheWrap(cache, key, method, ttl) {
         return existing;
       }
     } catch (e) {
-      // L2 error, continue to fetch
+      // L2 error, treat as miss
       if (logger && logger.debug) logger.debug(`L2 get failed key=${key} err=${e.message}`);
     }
   }
 
-  // Cache miss - fetch data
-  const data = await method();
+  return undefined;
+}
 
-  // Only cache if data is valid (not null, undefined, or "not found" responses)
-  if (!_shouldCache(data)) {
-    if (logger && logger.debug) logger.debug(`Skipped caching null/empty data for key=${key}`);
-    return data;
-  }
+/**
+ * Write a key to the cache stores with write-back pattern
+ * - Writes to L1 (memory) immediately (fast)
+ * - Writes to L2 (Redis) asynchronously in background (non-blocking)
+ * @private
+ * @param {Object|null} cache - Cache object with stores array
+ * @param {string} key - Cache key
+ * @param {*} data - Data to store
+ * @param {number} ttl - Time to live in milliseconds
+ */
+async function _cacheSet(cache, key, data, ttl) {
+  if (!cache) return;
+
+  const stores = cache.stores || [];
+  const l1Store = stores[0]; // Memory store (L1)
+  const l2Store = stores[1];  // Redis store (L2), if available
 
-  // Write-back pattern: Write to L1 immediately, sync to L2 asynchronously
   try {
     // Write to L1 (memory) immediately - fast, blocking
     if (l1Store) {
@@ -202,6 +237,79 @@ async function _cacheWrap(cache, key, method, ttl) {
   } catch (e) {
     logger.warn && logger.warn(`Cache set failed key=${key} err=${e.message}`);
   }
+}
+
+/**
+ * Read a key from the remote store (L2) only
+ * Used for long-lived background data that must not compete with request caches for L1 slots
+ * @private
+ * @param {Object|null} cache - Cache object with stores array
+ * @param {string} key - Cache key
+ * @returns {Promise<*>} Stored value or undefined on miss or without a remote store
+ */
+async function _remoteGet(cache, key) {
+  const l2Store = cache && cache.stores[1];
+  if (!l2Store) return undefined;
+
+  try {
+    return await l2Store.get(key);
+  } catch (e) {
+    if (logger && logger.debug) logger.debug(`L2 get failed key=${key} err=${e.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Write a key to the remote store (L2) only
+ * @private
+ * @param {Object|null} cache - Cache object with stores array
+ * @param {string} key - Cache key
+ * @param {*} data - Data to store
+ * @param {number} ttl - Time to live in milliseconds
+ * @returns {Promise<void>}
+ */
+async function _remoteSet(cache, key, data, ttl) {
+  const l2Store = cache && cache.stores[1];
+  if (!l2Store) return;
+
+  try {
+    await l2Store.set(key, data, ttl);
+    if (logger && logger.debug) logger.debug(`Cached L2 key=${key} ttl=${ttl}ms`);
+  } catch (e) {
+    logger.warn && logger.warn(`L2 write failed key=${key} err=${e.message}`);
+  }
+}
+
+/**
+ * Optimized cache wrapper function with write-back pattern
+ * - Writes to L1 (memory) immediately (fast)
+ * - Writes to L2 (Redis) asynchronously in background (non-blocking)
+ * - Reduces Redis command count by ~50%
+ * @private
+ * @param {Object|null} cache - Cache object with stores array
+ * @param {string} key - Cache key
+ * @param {Function} method - Async function to cache
+ * @param {number} ttl - Time to live in milliseconds
+ * @returns {Promise} Cached result
+ */
+async function _cacheWrap(cache, key, method, ttl) {
+  if (!cache) return method();
+
+  const existing = await _cacheGet(cache, key, ttl);
+  if (existing !== undefined) {
+    return existing;
+  }
+
+  // Cache miss - fetch data
+  const data = await method();
+
+  // Only cache if data is valid (not null, undefined, or "not found" responses)
+  if (!_shouldCache(data)) {
+    if (logger && logger.debug) logger.debug(`Skipped caching null/empty data for key=${key}`);
+    return data;
+  }
+
+  await _cacheSet(cache, key, data, ttl);
   
   return data;
 }
@@ -253,6 +361,26 @@ function cacheWrapStream(id, method) {
   return _cacheWrap(remoteCache, `${STREAM_KEY_PREFIX}:${id}`, method, STREAM_TTL);
 }
 
+/**
+ * Wrap a taxonomy method (live tag and brand lists) with caching
+ * @param {string} id - Cache key identifier
+ * @param {Function} method - Async function to cache
+ * @returns {Promise} Cached result
+ */
+function cacheWrapTaxonomy(id, method) {
+  return _cacheWrap(remoteCache, `${TAXONOMY_KEY_PREFIX}:${id}`, method, TAXONOMY_TTL);
+}
+
+/**
+ * Wrap an account method (personal playlists and their videos) with caching
+ * @param {string} id - Cache key identifier, must include the user's credentials hash
+ * @param {Function} method - Async function to cache
+ * @returns {Promise} Cached result
+ */
+function cacheWrapAccount(id, method) {
+  return _cacheWrap(remoteCache, `${ACCOUNT_KEY_PREFIX}:${id}`, method, ACCOUNT_TTL);
+}
+
 /**
  * Wrap a binary image method with caching
  * @param {string} imagePath - Cache key identifier
@@ -263,4 +391,110 @@ function cacheWrapBinaryImage(imagePath, method) {
   return _cacheWrap(imageCache, `${BINARY_IMAGES_KEY_PREFIX}:${imagePath}`, method, BINARY_IMAGES_TTL);
 }
 
-module.exports = { cacheWrapCatalog, cacheWrapMeta, cacheWrapStream, cacheWrapBinaryImage };
+/**
+ * Read a persisted index (e.g., the series index) built by a background job
+ * @param {string} id - Index identifier
+ * @returns {Promise<*>} Stored index or undefined if missing
+ */
+function getIndex(id) {
+  return _cacheGet(remoteCache, `${INDEX_KEY_PREFIX}:${id}`, INDEX_TTL);
+}
+
+/**
+ * Persist an index built by a background job
+ * @param {string} id - Index identifier
+ * @param {*} data - Index data (must be JSON-serializable)
+ * @returns {Promise<void>}
+ */
+function setIndex(id, data) {
+  return _cacheSet(remoteCache, `${INDEX_KEY_PREFIX}:${id}`, data, INDEX_TTL);
+}
+
+/**
+ * Check if a remote store (Redis or Postgres) is configured
+ * Without one, snapshots and histories are not persisted and callers must keep their own copy
+ * @returns {boolean} True if data written with setSnapshot or setHistory survives restarts
+ */
+function hasRemoteStore() {
+  return Boolean(remoteCache && remoteCache.stores[1]);
+}
+
+/**
+ * Read a persisted snapshot (e.g., trending view counts) taken by a background job
+ * Snapshots outlive indexes so windows up to a month can be compared. They live in the
+ * remote store only, so the in-memory LRU never evicts them.
+ * @param {string} id - Snapshot identifier
+ * @returns {Promise<*>} Stored snapshot or undefined if missing or without a remote store
+ */
+function getSnapshot(id) {
+  return _remoteGet(remoteCache, `${SNAPSHOT_KEY_PREFIX}:${id}`);
+}
+
+/**
+ * Persist a snapshot taken by a background job (no-op without a remote store)
+ * @param {string} id - Snapshot identifier
+ * @param {*} data - Snapshot data (must be JSON-serializable)
+ * @returns {Promise<void>}
+ */
+function setSnapshot(id, data) {
+  return _remoteSet(remoteCache, `${SNAPSHOT_KEY_PREFIX}:${id}`, data, SNAPSHOT_TTL);
+}
+
+/**
+ * Read a user's watch history
+ * Histories live in the remote store only, so every instance reads the latest write and the
+ * in-memory LRU never evicts them.
+ * @param {string} id - User identifier (credentials hash)
+ * @returns {Promise<*>} Stored history or undefined if missing or without a remote store
+ */
+function getHistory(id) {
+  return _remoteGet(remoteCache, `${HISTORY_KEY_PREFIX}:${id}`);
+}
+
+/**
+ * Persist a user's watch history (no-op without a remote store)
+ * @param {string} id - User identifier (credentials hash)
+ * @param {*} data - History entries (must be JSON-serializable)
+ * @returns {Promise<void>}
+ */
+function setHistory(id, data) {
+  return _remoteSet(remoteCache, `${HISTORY_KEY_PREFIX}:${id}`, data, HISTORY_TTL);
+}
+
+/**
+ * Read an adaptive master playlist served as an "Auto" stream
+ * @param {string} id - Playlist hash
+ * @returns {Promise<string|undefined>} M3U8 master playlist or undefined if missing
+ */
+function getMasterPlaylist(id) {
+  return _cacheGet(remoteCache, `${MASTER_PLAYLIST_KEY_PREFIX}:${id}`, STREAM_TTL);
+}
+
+/**
+ * Store an adaptive master playlist for as long as the stream response that links it may be cached
+ * Written to both stores, callers only link it when a remote store is configured
+ * @param {string} id - Playlist hash
+ * @param {string} playlist - M3U8 master playlist
+ * @returns {Promise<void>}
+ */
+function setMasterPlaylist(id, playlist) {
+  return _cacheSet(remoteCache, `${MASTER_PLAYLIST_KEY_PREFIX}:${id}`, playlist, STREAM_TTL);
+}
+
+module.exports = {
+  cacheWrapCatalog,
+  cacheWrapMeta,
+  cacheWrapStream,
+  cacheWrapTaxonomy,
+  cacheWrapAccount,
+  cacheWrapBinaryImage,
+  getIndex,
+  setIndex,
+  hasRemoteStore,
+  getSnapshot,
+  setSnapshot,
+  getHistory,
+  setHistory,
+  getMasterPlaylist,
+  setMasterPlaylist
+};
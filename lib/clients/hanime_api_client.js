@@ -89,13 +89,24 @@ class HanimeApiClient {
    * @param {number} maxRetries - Maximum number of retries (default: 2)
    * @returns {Promise<Array>} Array of video results
    */
-  async search({ query = '', tags = [], orderBy = 'created_at_unix', ordering = 'desc', page = 0 }, maxRetries = 2) {
+  async search(params, maxRetries = 2) {
+    const result = await this.searchPage(params, maxRetries);
+    return result ? result.hits : [];
+  }
+
+  /**
+   * Search for one page of videos, including upstream paging info
+   * @param {Object} params - Search parameters
+   * @param {number} maxRetries - Maximum number of retries (default: 2)
+   * @returns {Promise<Object|null>} { hits, page, nbPages, nbHits } or null if the request failed
+   */
+  async searchPage({ query = '', tags = [], tagsMode = 'AND', brands = [], blacklist = [], orderBy = 'created_at_unix', ordering = 'desc', page = 0 }, maxRetries = 2) {
     const body = {
       search_text: query,
       tags: tags,
-      tags_mode: 'AND',
-      brands: [],
-      blacklist: [],
+      tags_mode: tagsMode,
+      brands: brands,
+      blacklist: blacklist,
       order_by: orderBy,
       ordering: ordering,
       page: page
@@ -111,20 +122,74 @@ class HanimeApiClient {
           if (response.status === 200 && response.data) {
             const hits = JSON.parse(response.data.hits || '[]');
             logger.debug('Hanime search API success', { resultsCount: hits.length });
-            return Array.isArray(hits) ? hits : [];
+            return {
+              hits: Array.isArray(hits) ? hits : [],
+              page: response.data.page ?? page,
+              nbPages: response.data.nbPages || 0,
+              nbHits: response.data.nbHits || 0
+            };
           }
 
           logger.warn('Hanime search API non-200 status', { status: response.status });
-          return [];
+          return null;
         },
         {
           operation: 'Search API',
-          params: { query, tagsCount: tags.length, page }
+          params: { query, tagsCount: tags.length, brandsCount: brands.length, blacklistCount: blacklist.length, page }
+        },
+        maxRetries
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the live tag and brand lists from the browse API
+   * @param {number} maxRetries - Maximum number of retries (default: 2)
+   * @returns {Promise<Object|null>} { tags, brands } (tags sorted and lowercased, brands with the most titles first)
+   *   or null if the request failed
+   */
+  async getTaxonomy(maxRetries = 2) {
+    const url = `${this.baseUrl}/api/v8/browse`;
+
+    try {
+      return await this._retryRequest(
+        async () => {
+          const response = await axios.get(url, {
+            headers: this._getVideoHeaders(this.authority)
+          });
+
+          if (response.status === 200 && response.data) {
+            const tags = (response.data.hentai_tags || [])
+              .map(tag => tag && typeof tag.text === 'string' ? tag.text.trim().toLowerCase() : '')
+              .filter(Boolean);
+            const brandCounts = new Map();
+            (response.data.brands || []).forEach((brand) => {
+              const title = brand && typeof brand.title === 'string' ? brand.title.trim() : '';
+              if (title && !brandCounts.has(title)) brandCounts.set(title, Number(brand.count) || 0);
+            });
+            const brands = [...brandCounts.keys()]
+              .sort((a, b) => brandCounts.get(b) - brandCounts.get(a) || a.localeCompare(b));
+
+            logger.debug('Hanime browse API success', { tagsCount: tags.length, brandsCount: brands.length });
+            return {
+              tags: [...new Set(tags)].sort(),
+              brands
+            };
+          }
+
+          logger.warn('Hanime browse API: no data', { status: response.status });
+          return null;
+        },
+        {
+          operation: 'Browse API',
+          params: {}
         },
         maxRetries
       );
     } catch (error) {
-      return [];
+      return null;
     }
   }
 
@@ -1,4 +1,26 @@
+const crypto = require('crypto');
+const axios = require('axios');
 const { HanimeClient } = require('@nekolab/hanime');
+const config = require('../config');
+const { EntitlementTiers } = require('../constants');
+
+// Page size for playlist requests
+const PLAYLIST_PAGE_SIZE = 100;
+
+// Account API requests are signed like the Hanime app does ("app2" signature version): the claim time is
+// spliced between these fixed parts and hashed with SHA-256. The parts are the same for every client.
+const SIGNATURE_VERSION = 'app2';
+const SIGNATURE_PARTS = Object.freeze(['9944822', '8', '113']);
+
+/**
+ * Sign an account API request
+ * @param {number} time - Claim time in unix seconds (sent as x-claim)
+ * @returns {string} Hex signature (sent as x-signature)
+ */
+function signClaim(time) {
+  const [prefix, separator, suffix] = SIGNATURE_PARTS;
+  return crypto.createHash('sha256').update(`${prefix}${time}${separator}${time}${suffix}`).digest('hex');
+}
 
 /**
  * Clean API wrapper for Hanime operations
@@ -12,12 +34,16 @@ class HanimeUserApi {
    * @param {string} email - Optional user email for auto-refresh
    * @param {string} password - Optional user password for auto-refresh
    * @param {number} sessionTokenExpireTimeUnix - Optional expiration time (Unix timestamp)
+   * @param {number} userId - Optional account ID (needed for playlists, set on login)
+   * @param {boolean} isPremium - Optional premium access of the account (decides the entitlement tier, set on login)
    */
-  constructor(sessionToken = null, email = null, password = null, sessionTokenExpireTimeUnix = null) {
+  constructor(sessionToken = null, email = null, password = null, sessionTokenExpireTimeUnix = null, userId = null, isPremium = false) {
     this.client = new HanimeClient(sessionToken);
     this.email = email;
     this.password = password;
     this.sessionTokenExpireTimeUnix = sessionTokenExpireTimeUnix;
+    this.userId = userId;
+    this.isPremium = Boolean(isPremium);
     this.refreshBufferSeconds = 300; // Refresh 5 minutes before expiration
   }
 
@@ -38,6 +64,8 @@ class HanimeUserApi {
     this.email = email;
     this.password = password;
     this.sessionTokenExpireTimeUnix = loginResult.sessionTokenExpireTimeUnix;
+    this.userId = loginResult.user.id;
+    this.isPremium = Boolean(loginResult.user.isAbleToAccessPremium);
 
     return {
       user: {
@@ -122,6 +150,56 @@ class HanimeUserApi {
     return result;
   }
 
+  /**
+   * Get the account's playlists
+   * Automatically refreshes session token if expired
+   * @returns {Promise<Array<Object>>} Playlists { id, slug, title, kind, videoCount }
+   */
+  async getPlaylists() {
+    await this._ensureValidSession();
+    await this._ensureUserId();
+
+    const data = await this._request('/playlists', { user_id: this.userId, __count: PLAYLIST_PAGE_SIZE });
+    const playlists = Array.isArray(data.playlists) ? data.playlists : [];
+
+    return playlists
+      .filter(playlist => playlist && playlist.id !== undefined && playlist.id !== null)
+      .map(playlist => ({
+        id: String(playlist.id),
+        slug: playlist.slug || null,
+        title: playlist.title || playlist.name || '',
+        kind: playlist.kind || playlist.playlist_type || null,
+        videoCount: playlist.count || playlist.hentai_videos_count || 0
+      }));
+  }
+
+  /**
+   * Get a page of the videos in a playlist
+   * Automatically refreshes session token if expired
+   * @param {string} playlistId - Playlist ID
+   * @param {number} offset - Number of videos to skip
+   * @param {number} count - Maximum number of videos
+   * @returns {Promise<Array<Object>>} Videos in playlist order, tags as strings like search results
+   */
+  async getPlaylistVideos(playlistId, offset = 0, count = PLAYLIST_PAGE_SIZE) {
+    await this._ensureValidSession();
+
+    const data = await this._request('/playlist_hentai_videos', {
+      playlist_id: playlistId,
+      __offset: offset,
+      __count: count
+    });
+    const entries = data.playlist_hentai_videos || data.hentai_videos || [];
+
+    return entries
+      .map(entry => (entry && entry.hentai_video) || entry)
+      .filter(video => video && video.slug)
+      .map(video => ({
+        ...video,
+        tags: Array.isArray(video.tags) ? video.tags : (video.hentai_tags || []).map(tag => tag && tag.text).filter(Boolean)
+      }));
+  }
+
   /**
    * Get current session token
    * @returns {string|null} Session token or null if not logged in
@@ -146,6 +224,15 @@ class HanimeUserApi {
     return this.getSessionToken() !== null;
   }
 
+  /**
+   * Get the entitlement tier of this instance, deciding which streams it may play
+   * @returns {string} EntitlementTiers value: guest without a session, premium or member otherwise
+   */
+  getEntitlementTier() {
+    if (!this.isLoggedIn()) return EntitlementTiers.GUEST;
+    return this.isPremium ? EntitlementTiers.PREMIUM : EntitlementTiers.MEMBER;
+  }
+
   /**
    * Set credentials for auto-refresh (useful if credentials weren't provided in constructor)
    * @param {string} email - User email
@@ -203,6 +290,47 @@ class HanimeUserApi {
     }
   }
 
+  /**
+   * Log in again when the account ID is unknown (e.g., a session restored from an older cache entry)
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _ensureUserId() {
+    if (this.userId || !this.email || !this.password) return;
+
+    const loginResult = await this.login(this.email, this.password);
+    this.client = new HanimeClient(loginResult.sessionToken);
+  }
+
+  /**
+   * Make a signed request to the account API
+   * @private
+   * @param {string} path - API path (e.g., "/playlists")
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Response body
+   */
+  async _request(path, params) {
+    const sessionToken = this.getSessionToken();
+    if (!sessionToken) {
+      throw new Error('Not logged in');
+    }
+
+    const time = Math.floor(Date.now() / 1000);
+
+    const response = await axios.get(`${config.api.userApiUrl}${path}`, {
+      params,
+      headers: {
+        'accept': 'application/json',
+        'x-session-token': sessionToken,
+        'x-signature-version': SIGNATURE_VERSION,
+        'x-claim': String(time),
+        'x-signature': signClaim(time)
+      }
+    });
+
+    return response.data || {};
+  }
+
   /**
    * Format duration in milliseconds to MM:SS format
    * @private
@@ -20,6 +20,9 @@ class UserApiManager {
     // Track initialization promises to prevent concurrent initialization of same credentials
     this.initPromises = new Map();
 
+    // Unauthenticated instance shared by every guest, created on first use
+    this.guestApi = null;
+
     // Create dedicated cache instance for user sessions
     // Uses cache-manager with multi-store: memory (L1) + Redis (L2) if configured
     this.sessionCache = this._createSessionCache();
@@ -90,7 +93,7 @@ class UserApiManager {
       throw new Error('Email and password are required');
     }
 
-    const credentialsHash = this._getCredentialsHash(email, password);
+    const credentialsHash = this.getCredentialsHash(email, password);
 
     // Check cache first (if enabled)
     if (this.sessionCache) {
@@ -133,6 +136,32 @@ class UserApiManager {
     return await initPromise;
   }
 
+  /**
+   * Get the user API instance for guests (no credentials)
+   * It never logs in, so Hanime only returns the streams guests may play
+   * @returns {HanimeUserApi} Unauthenticated user API instance
+   */
+  getGuestApi() {
+    if (!this.guestApi) {
+      this.guestApi = new HanimeUserApi();
+    }
+
+    return this.guestApi;
+  }
+
+  /**
+   * Generate hash for credentials to use as cache key
+   * Also keys other per-user data (e.g., account catalogs) without exposing the credentials
+   * @param {string} email - User email
+   * @param {string} password - User password
+   * @returns {string} Hash string
+   */
+  getCredentialsHash(email, password) {
+    const hash = crypto.createHash('sha256');
+    hash.update(`${email}:${password}`);
+    return hash.digest('hex');
+  }
+
   /**
    * Clear cached user API instance for specific credentials
    * @param {string} email - User email
@@ -143,7 +172,7 @@ class UserApiManager {
       return;
     }
 
-    const credentialsHash = this._getCredentialsHash(email, password);
+    const credentialsHash = this.getCredentialsHash(email, password);
     const cacheKey = this._getCacheKey(credentialsHash);
     
     const stores = this.sessionCache.stores || [];
@@ -302,6 +331,14 @@ class UserApiManager {
         return null;
       }
 
+      // Sessions cached before the entitlement tier was stored would play as member, log in again instead
+      if (typeof cached.isPremium !== 'boolean') {
+        logger.debug('Cached user session has no premium status, reinitializing', {
+          emailPrefix: email.substring(0, 3) + '***'
+        });
+        return null;
+      }
+
       // Recreate HanimeUserApi from cached session data
       logger.debug('Using cached user session, recreating client', {
         emailPrefix: email.substring(0, 3) + '***'
@@ -311,7 +348,9 @@ class UserApiManager {
         cached.sessionToken,
         cached.email,
         password, // Still required for auto-refresh
-        cached.expiresAt / 1000 // Convert to Unix seconds
+        cached.expiresAt / 1000, // Convert to Unix seconds
+        cached.userId || null, // Missing in entries cached before playlists were supported
+        cached.isPremium
       );
       
       return userApi;
@@ -325,19 +364,6 @@ class UserApiManager {
     }
   }
 
-  /**
-   * Generate hash for credentials to use as cache key
-   * @private
-   * @param {string} email - User email
-   * @param {string} password - User password
-   * @returns {string} Hash string
-   */
-  _getCredentialsHash(email, password) {
-    const hash = crypto.createHash('sha256');
-    hash.update(`${email}:${password}`);
-    return hash.digest('hex');
-  }
-
   /**
    * Initialize a user API instance with login
    * @private
@@ -360,7 +386,7 @@ class UserApiManager {
       // Store serializable session data in cache (if enabled) - using write-back pattern
       if (this.sessionCache) {
         try {
-          const credentialsHash = this._getCredentialsHash(email, password);
+          const credentialsHash = this.getCredentialsHash(email, password);
           const cacheKey = this._getCacheKey(credentialsHash);
           
           // Extract serializable session data
@@ -368,7 +394,8 @@ class UserApiManager {
             sessionToken: loginResult.sessionToken,
             expiresAt: loginResult.sessionTokenExpireTimeUnix * 1000, // Convert to milliseconds
             email: email,
-            isPremium: loginResult.user.isPremium
+            userId: loginResult.user.id,
+            isPremium: Boolean(loginResult.user.isPremium)
           };
 
           // Calculate TTL: session expiration time minus 5 minutes buffer
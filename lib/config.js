@@ -5,6 +5,11 @@
 
 const packageJson = require('../package.json');
 
+// Serverless functions (Netlify runs them on AWS Lambda) don't share process memory between requests
+const IS_SERVERLESS = Boolean(process.env.NETLIFY || process.env.AWS_LAMBDA_FUNCTION_NAME);
+const HAS_REMOTE_CACHE = process.env.CACHE_ENABLED !== 'false' &&
+  Boolean(process.env.CACHE_REDIS_URL || process.env.REDIS_URL || process.env.CACHE_POSTGRES_URL);
+
 const config = {
   server: {
     port: parseInt(process.env.PORT, 10) || 61327,
@@ -17,6 +22,7 @@ const config = {
     defaultAuthority: 'hw.hanime.tv',
     manifestAuthority: 'cached.freeanimehentai.net',
     searchUrl: 'https://search.htv-services.com/',
+    userApiUrl: 'https://hanime.tv/rapi/v7', // Authenticated account API (playlists, likes, watch later)
     cdnUrl: 'https://hanime-cdn.com'
   },
 
@@ -25,11 +31,17 @@ const config = {
     maxSize: process.env.CACHE_MAX_SIZE ? (parseInt(process.env.CACHE_MAX_SIZE, 10) || 5000) : 5000, // Maximum number of cache entries (default: 5000)
     browserCache: (process.env.CACHE_BROWSER_CACHE !== undefined ? process.env.CACHE_BROWSER_CACHE !== 'false' : process.env.BROWSER_CACHE !== 'false'), // Enable browser caching (default: true, supports CACHE_BROWSER_CACHE and BROWSER_CACHE for backward compatibility)
     redisUrl: process.env.CACHE_REDIS_URL || process.env.REDIS_URL || null, // Redis connection URL for persistent cache (optional)
+    postgresUrl: process.env.CACHE_POSTGRES_URL || null, // Postgres connection URL for persistent cache (optional, used when Redis is not set)
     ttl: {
       catalog: 2 * 60 * 60, // 2 hours in seconds
       meta: 36 * 60 * 60, // 1.5 days in seconds
       stream: 36 * 60 * 60, // 1.5 days in seconds
-      image: 30 // 30 seconds
+      image: 30, // 30 seconds
+      index: 7 * 24 * 60 * 60, // 7 days in seconds (background indexes outlive restarts)
+      snapshot: 35 * 24 * 60 * 60, // 35 days in seconds (covers the monthly trending window)
+      taxonomy: 24 * 60 * 60, // 24 hours in seconds (live tag and brand lists rarely change)
+      account: 5 * 60, // 5 minutes in seconds (personal playlists change while the user browses)
+      history: 180 * 24 * 60 * 60 // 180 days in seconds since the last watched title
     },
     browserCacheMaxAge: 86400, // 24 hours in seconds for browser cache headers
     imageProxy: {
@@ -90,8 +102,49 @@ const config = {
     }
   },
 
+  seriesIndex: {
+    enabled: process.env.SERIES_INDEX_ENABLED !== 'false', // Crawl the full catalog to group series (default: true)
+    refreshInterval: parseInt(process.env.SERIES_INDEX_REFRESH_INTERVAL, 10) || 12 * 60 * 60, // 12 hours in seconds
+    crawlDelayMs: parseInt(process.env.SERIES_INDEX_CRAWL_DELAY_MS, 10) || 1000, // Delay between search pages to avoid 403s
+    maxPages: 500, // Safety cap on crawled search pages
+    maxFranchiseLookups: parseInt(process.env.SERIES_INDEX_MAX_FRANCHISE_LOOKUPS, 10) || 300 // Video API lookups per crawl (results are persisted)
+  },
+
+  trending: {
+    enabled: process.env.TRENDING_ENABLED !== 'false', // Snapshot view and like counts for the trending catalog (default: true)
+    snapshotInterval: parseInt(process.env.TRENDING_SNAPSHOT_INTERVAL, 10) || 6 * 60 * 60, // 6 hours in seconds
+    snapshotPages: parseInt(process.env.TRENDING_SNAPSHOT_PAGES, 10) || 10, // Search pages per ordering in each snapshot
+    crawlDelayMs: parseInt(process.env.TRENDING_CRAWL_DELAY_MS, 10) || 1000 // Delay between search pages to avoid 403s
+  },
+
+  searchIndex: {
+    enabled: process.env.SEARCH_INDEX_ENABLED !== 'false', // Index seen titles to answer searches while the search API is down (default: true)
+    maxVideos: parseInt(process.env.SEARCH_INDEX_MAX_VIDEOS, 10) || 20000, // Least recently seen titles are dropped beyond this
+    saveInterval: 10 * 60 // 10 minutes in seconds between saves to the cache backend
+  },
+
+  guest: {
+    enabled: process.env.GUEST_MODE_ENABLED !== 'false' // Serve guest-quality streams to users without credentials (default: true)
+  },
+
+  streamProxy: {
+    // Allow users to route HLS streams through the addon (default: true, but off without a secret)
+    enabled: process.env.STREAM_PROXY_ENABLED !== 'false' && Boolean(process.env.STREAM_PROXY_SECRET),
+    secret: process.env.STREAM_PROXY_SECRET || null, // Signs proxied URLs, shared by every instance and kept across restarts
+    urlTtl: 48 * 60 * 60, // 48 hours in seconds, outlives the stream responses players cache
+    proxySegments: process.env.STREAM_PROXY_SEGMENTS === 'true' // Also relay video segments, not just playlists and keys (default: false)
+  },
+
+  history: {
+    // Record watched titles per user for the recently watched catalog (default: true, but off in serverless
+    // functions without Redis or Postgres, where each instance would keep its own history)
+    enabled: process.env.HISTORY_ENABLED !== 'false' && (HAS_REMOTE_CACHE || !IS_SERVERLESS),
+    maxEntries: parseInt(process.env.HISTORY_MAX_ENTRIES, 10) || 100 // Oldest entries are dropped beyond this
+  },
+
   pagination: {
-    itemsPerPage: 48
+    itemsPerPage: 48,
+    maxScanPages: 20 // Max upstream pages scanned past a window when results are filtered locally (e.g., year filter on non-date sorts)
   },
 
   addon: {
@@ -133,6 +186,20 @@ function buildFullUrl(relativePath) {
   return `${getPublicUrl()}${relativePath}`;
 }
 
+/**
+ * Build the manifest URL a user installed the addon with
+ * Mirrors the URL generated by the landing page (config JSON as first path segment)
+ * @param {Object} userConfig - User configuration from the addon URL (optional)
+ * @returns {string} Full manifest URL
+ */
+function buildManifestUrl(userConfig) {
+  if (!userConfig || Object.keys(userConfig).length === 0) {
+    return buildFullUrl('/manifest.json');
+  }
+  return buildFullUrl(`/${encodeURIComponent(JSON.stringify(userConfig))}/manifest.json`);
+}
+
 module.exports = config;
 module.exports.getPublicUrl = getPublicUrl;
 module.exports.buildFullUrl = buildFullUrl;
+module.exports.buildManifestUrl = buildManifestUrl;
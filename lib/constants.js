@@ -3,6 +3,8 @@
  * All constant values used throughout the addon
  */
 
+const { buildYearOptions } = require('./utils/date_utils');
+
 /**
  * Addon ID prefix for namespacing
  */
@@ -78,6 +80,79 @@ const GENRES = [
   'yuri'
 ];
 
+/**
+ * Studios (brands) available for the studio catalog
+ * Names must match the `brand` field Hanime returns in search hits
+ */
+const BRANDS = [
+  'Animac',
+  'Antechinus',
+  'Arms',
+  'Bunnywalker',
+  'ChiChinoya',
+  'Circle Tribute',
+  'Collaboration Works',
+  'Digital Works',
+  'Discovery',
+  'Edge',
+  'Erozuki',
+  'Green Bunny',
+  'Himajin Planning',
+  'Hoods Entertainment',
+  'Jumondo',
+  'Lune Pictures',
+  'Magin Label',
+  'Majin',
+  'Mary Jane',
+  'MediaBank',
+  'Milky',
+  'Mousou Senka',
+  'Natural High',
+  'Nihikime no Dozeu',
+  'nur',
+  'Pashmina',
+  'Pink Pineapple',
+  'PoRO',
+  'Queen Bee',
+  'Rabbit Gate',
+  'Schoolzone',
+  'Seven',
+  'Showten',
+  'Studio 9 Maiami',
+  'Studio Fantasia',
+  'Suzuki Mirano',
+  'T-Rex',
+  'Toranoana',
+  'Vanilla',
+  'White Bear'
+];
+
+/**
+ * Most studios offered by the studio catalog's picker
+ * The live brand list runs past a hundred studios; the rest are reachable with `brand:` search filters
+ */
+const MAX_BRAND_OPTIONS = 40;
+
+/**
+ * Static tag and brand lists
+ * Served until the live lists load and whenever the browse API is unavailable
+ */
+const STATIC_TAXONOMY = Object.freeze({
+  genres: GENRES,
+  brands: BRANDS
+});
+
+/**
+ * Oldest release year available on Hanime
+ */
+const OLDEST_RELEASE_YEAR = 1984;
+
+/**
+ * Release years for the year catalog, from the current year back to the oldest release
+ * Computed at startup; manifests rebuild the list when they are built, so a new year shows up without a restart
+ */
+const YEARS = buildYearOptions(OLDEST_RELEASE_YEAR);
+
 /**
  * Content types supported by the addon
  */
@@ -98,7 +173,122 @@ const CatalogCategories = {
   NEWEST: 'hanime-newest',
   MOST_LIKES: 'hanime-mostlikes',
   MOST_VIEWS: 'hanime-mostviews',
-  RECENT: 'hanime-recent'
+  RECENT: 'hanime-recent',
+  STUDIO: 'hanime-studio',
+  YEAR: 'hanime-year',
+  TRENDING: 'hanime-trending',
+  RANDOM: 'hanime-random',
+  UPCOMING: 'hanime-upcoming',
+  SIMILAR: 'hanime-similar',
+  LIKED: 'hanime-liked',
+  WATCH_LATER: 'hanime-watch-later',
+  HISTORY: 'hanime-history'
+};
+
+/**
+ * Catalog ID prefix for per-genre catalogs built from the user's favourite genres
+ * Followed by the genre with spaces as underscores (e.g., "hanime-genre-big_boobs")
+ */
+const GENRE_CATALOG_PREFIX = 'hanime-genre-';
+
+/**
+ * Maximum number of favourite genre catalogs in a user's manifest (keeps it under the 8KB limit)
+ */
+const MAX_GENRE_CATALOGS = 10;
+
+/**
+ * Catalog ID prefix for the account's own playlists, only listed in configured manifests
+ * Followed by the playlist ID (e.g., "hanime-playlist-1234")
+ */
+const PLAYLIST_CATALOG_PREFIX = 'hanime-playlist-';
+
+/**
+ * Maximum number of playlist catalogs in a user's manifest (keeps it under the 8KB limit)
+ */
+const MAX_PLAYLIST_CATALOGS = 10;
+
+/**
+ * Tag matching modes supported by the search API
+ * Used when several genres are combined in one catalog request
+ */
+const TagModes = {
+  AND: 'AND',
+  OR: 'OR'
+};
+
+/**
+ * Censorship modes for the user's censorship setting
+ * Values are shown in the configuration form
+ */
+const CensorshipModes = {
+  ALL: 'Both',
+  UNCENSORED: 'Uncensored only',
+  CENSORED: 'Censored only'
+};
+
+/**
+ * Stream orders for the user's stream order setting
+ * Values are shown in the configuration form
+ */
+const StreamSortModes = {
+  QUALITY: 'Highest quality first',
+  SIZE: 'Smallest file first'
+};
+
+/**
+ * Resolution choices for the user's maximum and preferred resolution settings
+ * Keys are shown in the configuration form, values are stream heights (null means no limit or preference)
+ */
+const STREAM_RESOLUTIONS = {
+  'Any': null,
+  '1080p': 1080,
+  '720p': 720,
+  '480p': 480,
+  '360p': 360
+};
+
+/**
+ * Entitlement tiers for streams
+ * Hanime marks each stream with the tiers allowed to play it (is_guest_allowed, is_member_allowed, is_premium_allowed)
+ */
+const EntitlementTiers = {
+  GUEST: 'guest',
+  MEMBER: 'member',
+  PREMIUM: 'premium'
+};
+
+/**
+ * User-selectable sort orders for the `sort` catalog extra
+ * Keys are shown in Stremio, values map to the search API `order_by`/`ordering` fields
+ */
+const SORT_OPTIONS = {
+  'Newest': { orderBy: 'created_at_unix', ordering: 'desc' },
+  'Oldest': { orderBy: 'created_at_unix', ordering: 'asc' },
+  'Most Viewed': { orderBy: 'views', ordering: 'desc' },
+  'Most Liked': { orderBy: 'likes', ordering: 'desc' },
+  'Alphabetical': { orderBy: 'title_sortable', ordering: 'asc' },
+  'Release Date': { orderBy: 'released_at_unix', ordering: 'desc' }
+};
+
+/**
+ * Keywords for `sort:` in search queries, mapped to SORT_OPTIONS keys
+ */
+const SEARCH_SORT_KEYWORDS = {
+  newest: 'Newest',
+  oldest: 'Oldest',
+  views: 'Most Viewed',
+  likes: 'Most Liked',
+  title: 'Alphabetical',
+  released: 'Release Date'
+};
+
+/**
+ * Trending windows for the `period` catalog extra
+ * Keys are shown in Stremio, values are window lengths in days (the first one is the default)
+ */
+const TRENDING_PERIODS = {
+  'This Week': 7,
+  'This Month': 30
 };
 
 /**
@@ -120,20 +310,204 @@ const CATALOG_EXTRAS = [
   }
 ];
 
+/**
+ * Catalog extra parameter for choosing the sort order
+ */
+const SORT_EXTRA = {
+  name: 'sort',
+  options: Object.keys(SORT_OPTIONS),
+  isRequired: false
+};
+
+/**
+ * Catalog extra parameters for catalogs that let the user pick the sort order
+ * Only used on the general catalogs to keep the manifest small
+ */
+const SORTABLE_CATALOG_EXTRAS = [
+  ...CATALOG_EXTRAS,
+  SORT_EXTRA,
+  {
+    name: 'year', // Year or range (e.g., "2020" or "2015-2018"), no options to keep the manifest small
+    isRequired: false
+  }
+];
+
+/**
+ * Catalog extra parameters for the studio catalog
+ * The brand is required so the catalog only shows up in Discover with a studio selected
+ */
+const STUDIO_CATALOG_EXTRAS = [
+  {
+    name: 'brand',
+    options: BRANDS,
+    isRequired: true
+  },
+  {
+    name: 'skip',
+    isRequired: false
+  },
+  SORT_EXTRA
+];
+
+/**
+ * Catalog extra parameters for the year catalog
+ * The year is required so the catalog only shows up in Discover with a year selected
+ */
+const YEAR_CATALOG_EXTRAS = [
+  {
+    name: 'year',
+    options: YEARS,
+    isRequired: true
+  },
+  {
+    name: 'skip',
+    isRequired: false
+  },
+  SORT_EXTRA
+];
+
+/**
+ * Catalog extra parameters for per-genre catalogs
+ * The genre is preset by the catalog ID
+ */
+const GENRE_CATALOG_EXTRAS = [
+  {
+    name: 'skip',
+    isRequired: false
+  },
+  SORT_EXTRA
+];
+
+/**
+ * Catalog extra parameters for the random catalog
+ */
+const RANDOM_CATALOG_EXTRAS = [
+  {
+    name: 'genre',
+    options: GENRES,
+    isRequired: false
+  },
+  {
+    name: 'skip',
+    isRequired: false
+  }
+];
+
+/**
+ * Catalog extra parameters for the upcoming releases catalog
+ */
+const UPCOMING_CATALOG_EXTRAS = [
+  {
+    name: 'skip',
+    isRequired: false
+  }
+];
+
+/**
+ * Catalog extra parameters for the similar titles catalog
+ * The required extra without options hides it from Discover, it is opened from "More like this" links
+ */
+const SIMILAR_CATALOG_EXTRAS = [
+  {
+    name: 'similarTo', // Video slug
+    isRequired: true
+  },
+  {
+    name: 'skip',
+    isRequired: false
+  }
+];
+
+/**
+ * Catalog extra parameters for the account catalogs (liked videos, watch later, playlists and watch history)
+ */
+const ACCOUNT_CATALOG_EXTRAS = [
+  {
+    name: 'skip',
+    isRequired: false
+  }
+];
+
+/**
+ * Catalog extra parameters for the trending catalog
+ */
+const TRENDING_CATALOG_EXTRAS = [
+  {
+    name: 'period',
+    options: Object.keys(TRENDING_PERIODS),
+    isRequired: false
+  },
+  {
+    name: 'skip',
+    isRequired: false
+  }
+];
+
 // Single constants export object
 const Constants = {
   ADDON_PREFIX,
   GENRES,
+  BRANDS,
+  MAX_BRAND_OPTIONS,
+  STATIC_TAXONOMY,
+  OLDEST_RELEASE_YEAR,
+  YEARS,
   ContentTypes,
   CatalogCategories,
-  CATALOG_EXTRAS
+  GENRE_CATALOG_PREFIX,
+  MAX_GENRE_CATALOGS,
+  PLAYLIST_CATALOG_PREFIX,
+  MAX_PLAYLIST_CATALOGS,
+  TagModes,
+  CensorshipModes,
+  StreamSortModes,
+  STREAM_RESOLUTIONS,
+  EntitlementTiers,
+  SORT_OPTIONS,
+  SEARCH_SORT_KEYWORDS,
+  TRENDING_PERIODS,
+  CATALOG_EXTRAS,
+  SORTABLE_CATALOG_EXTRAS,
+  STUDIO_CATALOG_EXTRAS,
+  YEAR_CATALOG_EXTRAS,
+  GENRE_CATALOG_EXTRAS,
+  TRENDING_CATALOG_EXTRAS,
+  RANDOM_CATALOG_EXTRAS,
+  UPCOMING_CATALOG_EXTRAS,
+  SIMILAR_CATALOG_EXTRAS,
+  ACCOUNT_CATALOG_EXTRAS
 };
 
 // Export with backward compatibility for existing code
 module.exports = Constants;
 module.exports.addonPrefix = ADDON_PREFIX;
 module.exports.genres = GENRES;
+module.exports.brands = BRANDS;
+module.exports.maxBrandOptions = MAX_BRAND_OPTIONS;
+module.exports.staticTaxonomy = STATIC_TAXONOMY;
+module.exports.years = YEARS;
 module.exports.contentTypes = ContentTypes;
 module.exports.catalogCategories = CatalogCategories;
+module.exports.genreCatalogPrefix = GENRE_CATALOG_PREFIX;
+module.exports.maxGenreCatalogs = MAX_GENRE_CATALOGS;
+module.exports.playlistCatalogPrefix = PLAYLIST_CATALOG_PREFIX;
+module.exports.maxPlaylistCatalogs = MAX_PLAYLIST_CATALOGS;
+module.exports.tagModes = TagModes;
+module.exports.censorshipModes = CensorshipModes;
+module.exports.streamSortModes = StreamSortModes;
+module.exports.streamResolutions = STREAM_RESOLUTIONS;
+module.exports.entitlementTiers = EntitlementTiers;
+module.exports.sortOptions = SORT_OPTIONS;
+module.exports.searchSortKeywords = SEARCH_SORT_KEYWORDS;
+module.exports.trendingPeriods = TRENDING_PERIODS;
 module.exports.catalogExtras = CATALOG_EXTRAS;
+module.exports.sortableCatalogExtras = SORTABLE_CATALOG_EXTRAS;
+module.exports.studioCatalogExtras = STUDIO_CATALOG_EXTRAS;
+module.exports.yearCatalogExtras = YEAR_CATALOG_EXTRAS;
+module.exports.genreCatalogExtras = GENRE_CATALOG_EXTRAS;
+module.exports.trendingCatalogExtras = TRENDING_CATALOG_EXTRAS;
+module.exports.randomCatalogExtras = RANDOM_CATALOG_EXTRAS;
+module.exports.upcomingCatalogExtras = UPCOMING_CATALOG_EXTRAS;
+module.exports.similarCatalogExtras = SIMILAR_CATALOG_EXTRAS;
+module.exports.accountCatalogExtras = ACCOUNT_CATALOG_EXTRAS;
 
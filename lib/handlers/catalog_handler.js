@@ -5,15 +5,39 @@
 
 const constants = require('../constants');
 const { toStremioCatalog, toStremioSeriesCatalog } = require('../transformers/catalog_transformer');
-const { getSeriesCatalogItems } = require('../utils/series_utils');
+const { detectSeries, toSeriesCatalogItem } = require('../utils/series_utils');
+const { parseTagList, hasAnyTag, filterBlacklisted, getGenreFromCatalogId } = require('../utils/tag_utils');
+const { parseYearRange, getReleaseTime, isReleasedWithin } = require('../utils/date_utils');
+const { parseSearchQuery } = require('../utils/query_parser');
+const { findSimilarVideos } = require('../utils/similarity_utils');
+const { stripAddonPrefix } = require('../utils/formatters');
+const { hashString } = require('../utils/random_utils');
+const { isAccountCatalog } = require('../utils/playlist_utils');
+const { isEnabledOption } = require('../utils/config_utils');
+const {
+  parseCensorshipMode,
+  matchesCensorship,
+  filterByCensorship,
+  getVariantKey,
+  createVariantMerger,
+  mergeVariants
+} = require('../utils/variant_utils');
 const { cacheWrapCatalog } = require('../cache');
+const CatalogPager = require('../services/catalog_pager');
 const { emptyResponse } = require('./response_helpers');
 
 class CatalogHandler {
-  constructor(apiClient, logger, config) {
+  constructor(apiClient, logger, config, seriesIndex = null, trendingService = null, searchIndex = null, upcomingService = null, accountService = null, historyService = null) {
     this.apiClient = apiClient;
     this.logger = logger;
     this.config = config;
+    this.seriesIndex = seriesIndex;
+    this.trendingService = trendingService;
+    this.searchIndex = searchIndex;
+    this.upcomingService = upcomingService;
+    this.accountService = accountService;
+    this.historyService = historyService;
+    this.pager = new CatalogPager(apiClient, config, searchIndex);
     this.validCatalogIds = Object.values(constants.catalogCategories);
 
     // Catalog ordering lookup
@@ -38,23 +62,19 @@ class CatalogHandler {
         return emptyResponse('catalog');
       }
 
-      const results = await this._getCatalogData(args.id, args.extra);
+      const results = await this._getCatalogData(args.id, args.extra, args.config);
 
       if (!results || results.length === 0) {
         this.logger.warn('Catalog handler: no results', { catalogId: args.id });
         return emptyResponse('catalog');
       }
 
-      // Transform based on catalog type
-      let metas;
-      if (args.id === constants.catalogCategories.SERIES) {
-        const seriesItems = getSeriesCatalogItems(results);
-        metas = toStremioSeriesCatalog(seriesItems);
-      } else {
-        metas = toStremioCatalog(results);
-      }
+      // Transform based on catalog type (series catalog data is already grouped)
+      const metas = args.id === constants.catalogCategories.SERIES
+        ? toStremioSeriesCatalog(results)
+        : toStremioCatalog(results);
 
-      return { metas, ...this._getCacheSettings() };
+      return { metas, ...this._getCacheSettings(args.id, args.config) };
     } catch (error) {
       this.logger.error('Catalog handler error', {
         catalogId: args.id,
@@ -75,22 +95,41 @@ class CatalogHandler {
    */
   _isValidCatalogRequest(args) {
     if (!args.id) return false;
-    return this.validCatalogIds.includes(args.id);
+    return this.validCatalogIds.includes(args.id) || getGenreFromCatalogId(args.id) !== null || isAccountCatalog(args.id);
   }
 
   /**
    * Build query parameters from catalog request
    * @private
    */
-  _buildQueryParams(catalogId, extra = {}) {
+  _buildQueryParams(catalogId, extra = {}, userConfig = {}) {
+    // Genre catalogs preset their genre, other catalogs take it from the extra
+    const presetGenre = getGenreFromCatalogId(catalogId);
+
+    // Filters typed into the search box (e.g., "tag:ntr -tag:scat sort:likes") add to the catalog extras
+    const search = parseSearchQuery(extra.search);
+    const brands = extra.brand ? [extra.brand, ...search.brands] : search.brands;
+
     const queryParams = {
-      query: extra.search || '',
-      tags: extra.genre ? [extra.genre] : [],
-      page: extra.skip ? Math.floor(extra.skip / this.config.pagination.itemsPerPage) : 0
+      query: search.text,
+      tags: parseTagList([...parseTagList(presetGenre || extra.genre), ...search.tags]), // Comma-separated for multiple genres (e.g., "milf,vanilla")
+      tagsMode: this._getTagsMode(userConfig),
+      brands: [...new Set(brands)],
+      blacklist: parseTagList([...parseTagList(userConfig.blacklist), ...search.excludedTags]),
+      censorship: parseCensorshipMode(userConfig.censorship), // Filtered locally, the search API has no censorship filter
+      releaseRange: parseYearRange(search.year || extra.year) // Filtered locally, the search API has no date filter
     };
 
-    // Add ordering if catalog has specific sort
-    const orderBy = this.catalogOrdering[catalogId];
+    // User-selected sort wins over the catalog's fixed ordering, a sort typed into the search wins over both
+    const sortOption = constants.sortOptions[search.sort || extra.sort];
+    if (sortOption) {
+      queryParams.orderBy = sortOption.orderBy;
+      queryParams.ordering = sortOption.ordering;
+      return queryParams;
+    }
+
+    // Add ordering if catalog has specific sort, year filters default to release order
+    const orderBy = this.catalogOrdering[catalogId] || (queryParams.releaseRange ? 'released_at_unix' : null);
     if (orderBy) {
       queryParams.orderBy = orderBy;
       queryParams.ordering = 'desc';
@@ -99,39 +138,317 @@ class CatalogHandler {
     return queryParams;
   }
 
+  /**
+   * Get tag matching mode from user configuration (defaults to AND)
+   * @private
+   */
+  _getTagsMode(userConfig) {
+    const mode = String(userConfig.tagsMode || '').toUpperCase();
+    return mode === constants.tagModes.OR ? constants.tagModes.OR : constants.tagModes.AND;
+  }
+
+  /**
+   * Build catalog cache key from request extras and per-user filters
+   * Genres are taken from the normalized params so the same tags in any order share an entry
+   * Per-user filters change the results, so users with different filters get separate entries
+   * @private
+   */
+  _buildCacheKey(catalogId, extra, params) {
+    const parts = Object.keys(extra)
+      .filter(key => key !== 'genre')
+      .map(key => `${key}=${extra[key]}`);
+
+    if (params.tags.length > 0) {
+      parts.push(`genre=${params.tags.join(',')}`);
+    }
+
+    // Match mode only changes results when more than one genre is combined
+    if (params.tags.length > 1) {
+      parts.push(`tagsMode=${params.tagsMode}`);
+    }
+
+    parts.sort();
+
+    if (params.blacklist.length > 0) {
+      parts.push(`blacklist=${params.blacklist.join(',')}`);
+    }
+
+    if (params.censorship !== constants.censorshipModes.ALL) {
+      parts.push(`censorship=${params.censorship}`);
+    }
+
+    // The random order changes daily
+    if (catalogId === constants.catalogCategories.RANDOM) {
+      parts.push(`day=${new Date().toISOString().slice(0, 10)}`);
+    }
+
+    return parts.length > 0 ? `${catalogId}:${parts.join('&')}` : catalogId;
+  }
+
   /**
    * Get catalog data - fetches from API and caches results
+   * Returns videos, or series items for the series catalog
    * @private
    */
-  async _getCatalogData(catalogId, extra = {}) {
-    const params = this._buildQueryParams(catalogId, extra);
-    
-    const extraParams = extra && Object.keys(extra).length > 0
-      ? Object.keys(extra).sort().map(key => `${key}=${extra[key]}`).join('&')
-      : '';
-    const cacheKey = extraParams ? `${catalogId}:${extraParams}` : catalogId;
-
-    return cacheWrapCatalog(cacheKey, async () => {
-      const results = await this.apiClient.search(params);
-
-      if (!results || !Array.isArray(results)) {
-        this.logger.warn('Invalid API response', {
-          catalogId,
-          resultType: typeof results,
-          isArray: Array.isArray(results)
-        });
-        return [];
+  async _getCatalogData(catalogId, extra = {}, userConfig = {}) {
+    const params = this._buildQueryParams(catalogId, extra || {}, userConfig || {});
+    const cacheKey = this._buildCacheKey(catalogId, extra || {}, params);
+    const skip = Math.max(parseInt(extra && extra.skip, 10) || 0, 0);
+    const limit = this.config.pagination.itemsPerPage;
+
+    // Watched titles are left out with the other local filters, before windows are cut
+    params.watchedKeys = this._isHidingWatched(catalogId, userConfig || {})
+      ? await this.historyService.getWatchedKeys(userConfig)
+      : null;
+
+    // Personal lists are cached per user by their services instead
+    if (catalogId === constants.catalogCategories.HISTORY) {
+      return this._getHistoryData(userConfig || {}, params, skip, limit);
+    }
+
+    if (isAccountCatalog(catalogId)) {
+      return this._getAccountData(catalogId, userConfig || {}, params, skip, limit);
+    }
+
+    const loadResults = async () => {
+      if (catalogId === constants.catalogCategories.TRENDING) {
+        return this._getTrendingData(extra || {}, params, skip, limit);
+      }
+
+      if (catalogId === constants.catalogCategories.UPCOMING) {
+        if (!this.upcomingService) return [];
+        const upcoming = await this.upcomingService.getUpcoming(params);
+        return upcoming.filter(video => !this._isWatched(video, params)).slice(skip, skip + limit);
+      }
+
+      if (catalogId === constants.catalogCategories.RANDOM) {
+        return this._getRandomData(catalogId, extra || {}, params, skip, limit);
+      }
+
+      if (catalogId === constants.catalogCategories.SIMILAR) {
+        return this._getSimilarData(extra || {}, params, skip, limit);
+      }
+
+      if (catalogId === constants.catalogCategories.SERIES) {
+        // Serve from the full series index when available, it sees episodes across all pages
+        if (this.seriesIndex && await this.seriesIndex.isReady()) {
+          const seriesItems = await this.seriesIndex.getCatalogItems(params);
+          return seriesItems.slice(skip, skip + limit);
+        }
+
+        // Group after filtering so blacklisted episodes never form a series. Like the index, a series
+        // matches a release range when any of its episodes does (studio and sort are applied upstream).
+        return this.pager.getGroupedWindow(params, skip, limit, (videos) => detectSeries(
+          mergeVariants(filterByCensorship(filterBlacklisted(videos, params.blacklist), params.censorship))
+        )
+          .filter(series => !params.releaseRange ||
+            series.episodes.some(episode => isReleasedWithin(episode, params.releaseRange)))
+          .map(toSeriesCatalogItem));
+      }
+
+      // Null is not cached, so the search API is asked again on the next request
+      if (extra && extra.search && await this._isSearchUnavailable(params)) {
+        return null;
       }
 
-      return results;
-    });
+      return this._getFilteredResults(params, skip, limit);
+    };
+
+    // Without watched titles the results are personal, so they skip the shared cache (upstream pages stay cached)
+    const results = params.watchedKeys ? await loadResults() : await cacheWrapCatalog(cacheKey, loadResults);
+
+    if (results === null) {
+      this.logger.warn('Search API unavailable, answering from the local search index', { catalogId });
+      return this.searchIndex.search(params, skip, limit);
+    }
+
+    return results;
+  }
+
+  /**
+   * Check if the search API fails for a search request that the local index could answer instead
+   * The first upstream page is cached on success, so a working API costs no extra request
+   * @private
+   */
+  async _isSearchUnavailable(params) {
+    if (!this.searchIndex) return false;
+
+    const firstPage = await this.pager.getPage({ ...params, page: 0 });
+    return firstPage.failed === true;
+  }
+
+  /**
+   * Get a window of the trending catalog (defaults to the first trending period)
+   * @private
+   */
+  async _getTrendingData(extra, params, skip, limit) {
+    if (!this.trendingService) return [];
+
+    const periods = constants.trendingPeriods;
+    const days = periods[extra.period] || Object.values(periods)[0];
+    const videos = await this.trendingService.getTrending(days, params);
+
+    return videos.filter(video => !this._isWatched(video, params)).slice(skip, skip + limit);
+  }
+
+  /**
+   * Get a window of the random catalog, shuffled with a daily seed
+   * The seed comes from the cache key without skip, so every window of a day shares one order.
+   * Pages are taken oldest first so new uploads don't shift them during the day.
+   * @private
+   */
+  async _getRandomData(catalogId, extra, params, skip, limit) {
+    const filters = Object.fromEntries(Object.entries(extra).filter(([key]) => key !== 'skip'));
+    const seed = hashString(this._buildCacheKey(catalogId, filters, params));
+
+    return this.pager.getShuffledWindow(
+      { ...params, orderBy: 'created_at_unix', ordering: 'asc' },
+      skip,
+      limit,
+      seed,
+      this._createResultFilter(params)
+    );
+  }
+
+  /**
+   * Get a window of titles similar to the video in the similarTo extra
+   * Candidates are the titles in the local search index
+   * @private
+   */
+  async _getSimilarData(extra, params, skip, limit) {
+    if (!this.searchIndex || !extra.similarTo) return [];
+
+    const data = await this.apiClient.getVideoData(stripAddonPrefix(extra.similarTo));
+
+    if (!data || !data.hentai_video) {
+      this.logger.warn('Similar titles: no video data returned', { similarTo: extra.similarTo });
+      return [];
+    }
+
+    const similarVideos = findSimilarVideos(data.hentai_video, this.searchIndex.getVideos())
+      .filter(video => matchesCensorship(video, params.censorship) && !this._isWatched(video, params));
+
+    return mergeVariants(filterBlacklisted(similarVideos, params.blacklist)).slice(skip, skip + limit);
+  }
+
+  /**
+   * Get a window of the account's liked videos, watch later list or a playlist, in list order
+   * @private
+   */
+  async _getAccountData(catalogId, userConfig, params, skip, limit) {
+    if (!this.accountService || !this.accountService.hasAccount(userConfig)) return [];
+
+    const videos = (await this.accountService.getVideos(catalogId, userConfig))
+      .filter(video => !this._isWatched(video, params));
+
+    return mergeVariants(filterByCensorship(filterBlacklisted(videos, params.blacklist), params.censorship))
+      .slice(skip, skip + limit);
+  }
+
+  /**
+   * Get a window of the user's recently watched titles, most recent first
+   * @private
+   */
+  async _getHistoryData(userConfig, params, skip, limit) {
+    if (!this.historyService) return [];
+
+    const videos = await this.historyService.getVideos(userConfig);
+
+    return mergeVariants(filterByCensorship(filterBlacklisted(videos, params.blacklist), params.censorship))
+      .slice(skip, skip + limit);
+  }
+
+  /**
+   * Check if a video is one of the user's watched titles left out by hideWatched
+   * Every variant of a watched release matches
+   * @private
+   * @param {Object} video - Hanime video object
+   * @param {Object} params - Query params with watchedKeys (null when nothing is hidden)
+   * @returns {boolean} True if the video is hidden
+   */
+  _isWatched(video, params) {
+    return Boolean(params.watchedKeys) && params.watchedKeys.has(getVariantKey(video));
+  }
+
+  /**
+   * Check if watched titles are left out of a catalog for a user
+   * The recently watched catalog is never filtered, and neither is the series catalog (its items are series,
+   * not the watched episodes)
+   * @private
+   */
+  _isHidingWatched(catalogId, userConfig = {}) {
+    return Boolean(this.historyService) &&
+      isEnabledOption(userConfig && userConfig.hideWatched) &&
+      this.historyService.isAvailable(userConfig) &&
+      catalogId !== constants.catalogCategories.HISTORY &&
+      catalogId !== constants.catalogCategories.SERIES;
+  }
+
+  /**
+   * Get a window of search results with the local filters applied and variants merged
+   * @private
+   */
+  async _getFilteredResults(params, skip, limit) {
+    const bounds = params.releaseRange ? this._getReleaseBounds(params) : null;
+    return this.pager.getFilteredWindow(params, skip, limit, this._createResultFilter(params), bounds);
+  }
+
+  /**
+   * Create the local filter for search results, applied in upstream order before windowing
+   * Upstream already applies the blacklist, it is checked again as a safety net. The release, censorship and
+   * watched filters are local only. Variants are merged last, so the first shown variant stands for the release.
+   * @private
+   * @param {Object} params - Query params
+   * @returns {Function} Stateful predicate, one per scan
+   */
+  _createResultFilter(params) {
+    const isFirstVariant = createVariantMerger();
+
+    return video => !hasAnyTag(video, params.blacklist) &&
+      (!params.releaseRange || isReleasedWithin(video, params.releaseRange)) &&
+      matchesCensorship(video, params.censorship) &&
+      !this._isWatched(video, params) &&
+      isFirstVariant(video);
+  }
+
+  /**
+   * Get scan bounds for a release range filter
+   * With release ordering the matching videos are contiguous upstream, so the pager can skip ahead
+   * and stop early. Returns null for other orderings.
+   * @private
+   * @param {Object} params - Query params with releaseRange
+   * @returns {Object|null} { isBefore, isAfter } predicates relative to the scan direction
+   */
+  _getReleaseBounds(params) {
+    if (params.orderBy !== 'released_at_unix') return null;
+
+    const range = params.releaseRange;
+    const ascending = params.ordering === 'asc';
+
+    return {
+      isBefore: (video) => {
+        const releasedAt = getReleaseTime(video);
+        return releasedAt !== null && (ascending ? releasedAt < range.start : releasedAt > range.end);
+      },
+      isAfter: (video) => {
+        const releasedAt = getReleaseTime(video);
+        return releasedAt !== null && (ascending ? releasedAt > range.end : releasedAt < range.start);
+      }
+    };
   }
 
   /**
    * Get cache settings for catalog responses
+   * Personal lists, and catalogs hiding watched titles, change while the user browses, so they expire sooner
    * @private
    */
-  _getCacheSettings() {
+  _getCacheSettings(catalogId, userConfig = {}) {
+    if (isAccountCatalog(catalogId) || catalogId === constants.catalogCategories.HISTORY || this._isHidingWatched(catalogId, userConfig)) {
+      return {
+        cacheMaxAge: this.config.cache.ttl.account // 5 minutes in seconds
+      };
+    }
+
     return {
       cacheMaxAge: this.config.cache.ttl.catalog, // 2 hours in seconds
       staleRevalidate: 600 // 10 minutes
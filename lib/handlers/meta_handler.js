@@ -1,12 +1,19 @@
-const { isHanimeId } = require('../utils/formatters');
+const { isHanimeId, stripAddonPrefix } = require('../utils/formatters');
+const { localizeDiscoverLinks } = require('../transformers/formatters');
+const { buildSimilarLinks } = require('../transformers/meta_transformer');
+const { parseTagList } = require('../utils/tag_utils');
+const { parseCensorshipMode } = require('../utils/variant_utils');
 const MetaService = require('../services/meta_service');
 const { emptyResponse } = require('./response_helpers');
 
+// Browser cache for meta served while the search index is empty, so similar title links show up soon
+const COLD_INDEX_MAX_AGE = 10 * 60; // 10 minutes in seconds
+
 class MetaHandler {
-  constructor(apiClient, logger, config) {
+  constructor(apiClient, logger, config, seriesIndex = null, searchIndex = null) {
     this.logger = logger;
     this.config = config;
-    this.metaService = new MetaService(apiClient, config);
+    this.metaService = new MetaService(apiClient, config, seriesIndex, searchIndex);
   }
 
   // ============================================================================
@@ -26,15 +33,24 @@ class MetaHandler {
         return emptyResponse('meta');
       }
 
-      const meta = await this.metaService.getMetaData(id);
+      const cachedMeta = await this.metaService.getMetaData(id);
 
-      if (!meta) {
+      if (!cachedMeta) {
         return emptyResponse('meta');
       }
 
+      // Meta is cached for all users, so similar titles are added and discover links rebased per request
+      const { _similarTo, ...meta } = cachedMeta;
+      const userConfig = args.config || {};
+      const similarVideos = this.metaService.getSimilarVideos(cachedMeta, {
+        blacklist: parseTagList(userConfig.blacklist),
+        censorship: parseCensorshipMode(userConfig.censorship)
+      });
+      const links = [...(meta.links || []), ...buildSimilarLinks(stripAddonPrefix(id), similarVideos)];
+
       return {
-        meta,
-        cacheMaxAge: this.config.cache.ttl.meta, // 36 hours in seconds
+        meta: { ...meta, links: localizeDiscoverLinks(links, args.config) },
+        cacheMaxAge: similarVideos === null ? COLD_INDEX_MAX_AGE : this.config.cache.ttl.meta, // 36 hours in seconds
         staleRevalidate: 600 // 10 minutes
       };
     } catch (error) {
@@ -1,14 +1,33 @@
+const crypto = require('crypto');
 const { isHanimeId, stripAddonPrefix } = require('../utils/formatters');
-const { toStremioStreams } = require('../transformers/stream_transformer');
-const { cacheWrapStream } = require('../cache');
+const { buildFullUrl } = require('../config');
+const { toStremioStreams, toAdaptiveStream } = require('../transformers/stream_transformer');
+const { toMasterPlaylist } = require('../transformers/hls_transformer');
+const { cacheWrapStream, setMasterPlaylist, hasRemoteStore } = require('../cache');
+const {
+  parseCensorshipMode,
+  getVariantKey,
+  getVariantLabel,
+  filterByCensorship
+} = require('../utils/variant_utils');
+const {
+  parseStreamPreferences,
+  applyStreamPreferences,
+  filterByEntitlement,
+  isHlsStream,
+  selectAdaptiveStreams
+} = require('../utils/stream_utils');
+const { isEnabledOption } = require('../utils/config_utils');
 const { emptyResponse } = require('./response_helpers');
 
 class StreamHandler {
-  constructor(apiClient, logger, config, userApiManager) {
+  constructor(apiClient, logger, config, userApiManager, historyService = null, hlsProxyService = null) {
     this.logger = logger;
     this.config = config;
     this.userApiManager = userApiManager;
     this.apiClient = apiClient;
+    this.historyService = historyService;
+    this.hlsProxyService = hlsProxyService;
   }
 
   // ============================================================================
@@ -28,36 +47,24 @@ class StreamHandler {
         return emptyResponse('stream');
       }
 
-      // Extract and validate user credentials from addon configuration
       const userConfig = args.config || {};
-      const email = userConfig.email;
-      const password = userConfig.password;
+      const streams = await this.getStreams(id, userConfig);
 
-      if (!email || !password) {
-        this.logger.error('Stream handler: email and password are required', {
-          hasEmail: !!email,
-          hasPassword: !!password
-        });
-        throw new Error('Email and password are required. Please configure the addon with your Hanime credentials.');
-      }
+      const response = toStremioStreams(streams, {
+        maxAge: this.config.cache.browserCacheMaxAge,
+        staleError: 6 * 30 * 24 * 60 * 60 // 6 months in seconds
+      });
 
-      // Get authenticated user API instance from manager
-      let userApi;
-      try {
-        userApi = await this.userApiManager.getUserApi(email, password);
-      } catch (error) {
-        this.logger.error('Stream handler: failed to get user API', {
-          error: error.message,
-          emailPrefix: email.substring(0, 3) + '***'
-        });
-        throw new Error('Failed to authenticate with provided credentials. Please check your email and password.');
+      if (response.streams.length === 0) {
+        return emptyResponse('stream');
       }
 
-      // Get streams using authenticated user API
-      const streams = await this._getStreams(id, userApi);
+      // Stremio asks for streams when a title is played, recorded in the background
+      this._recordHistory(id, userConfig);
 
       return {
-        ...streams,
+        ...response,
+        streams: [...await this._getAdaptiveStreams(streams), ...response.streams],
         cacheMaxAge: this.config.cache.ttl.stream, // 36 hours in seconds
         staleRevalidate: 600 // 10 minutes
       };
@@ -71,12 +78,97 @@ class StreamHandler {
     }
   }
 
+  /**
+   * Get a user's streams for a video or series episode
+   * Streams come from the stream cache of the user's entitlement tier (guest, member or premium), only the
+   * streams the tier may play are kept, and the user's censorship and quality settings are applied after it.
+   * Without credentials the guest-allowed streams are returned when guest mode is enabled.
+   * @param {string} id - Full ID with prefix (e.g., "hanime:video-slug")
+   * @param {Object} userConfig - User configuration with email and password
+   * @returns {Promise<Array>} Hanime stream objects in preference order
+   */
+  async getStreams(id, userConfig = {}) {
+    // Extract and validate user credentials from addon configuration
+    const email = userConfig.email;
+    const password = userConfig.password;
+
+    if ((!email || !password) && this.config.guest.enabled) {
+      return this._getGuestStreams(id, userConfig);
+    }
+
+    if (!email || !password) {
+      this.logger.error('Stream handler: email and password are required', {
+        hasEmail: !!email,
+        hasPassword: !!password
+      });
+      throw new Error('Email and password are required. Please configure the addon with your Hanime credentials.');
+    }
+
+    // Get authenticated user API instance from manager
+    let userApi;
+    try {
+      userApi = await this.userApiManager.getUserApi(email, password);
+    } catch (error) {
+      this.logger.error('Stream handler: failed to get user API', {
+        error: error.message,
+        emailPrefix: email.substring(0, 3) + '***'
+      });
+      throw new Error('Failed to authenticate with provided credentials. Please check your email and password.');
+    }
+
+    // Get streams using authenticated user API, then apply the user's settings
+    return this._applyUserSettings(await this._getEntitledStreams(id, userApi), userConfig);
+  }
+
   // ============================================================================
   // Private Methods
   // ============================================================================
 
   /**
-   * Get video streams using authenticated user API
+   * Get the streams guests may play, through the unauthenticated user API
+   * Guest streams are marked so their titles point to signing in
+   * @private
+   * @param {string} id - Full ID with prefix
+   * @param {Object} userConfig - User configuration without credentials
+   * @returns {Promise<Array>} Hanime stream objects in preference order
+   */
+  async _getGuestStreams(id, userConfig) {
+    const streams = await this._getEntitledStreams(id, this.userApiManager.getGuestApi());
+
+    return this._applyUserSettings(streams.map(stream => ({ ...stream, is_guest: true })), userConfig);
+  }
+
+  /**
+   * Get the streams a user API instance's entitlement tier may play
+   * @private
+   * @param {string} id - Full ID with prefix
+   * @param {Object} userApi - User API instance (authenticated, or the guest instance)
+   * @returns {Promise<Array>} Stream objects allowed for the tier
+   */
+  async _getEntitledStreams(id, userApi) {
+    const tier = userApi.getEntitlementTier();
+    return filterByEntitlement(await this._getStreams(id, userApi, tier), tier);
+  }
+
+  /**
+   * Apply the user's censorship, quality and proxy settings to cached streams
+   * @private
+   * @param {Array} streams - Hanime stream objects
+   * @param {Object} userConfig - User configuration
+   * @returns {Array} Streams in preference order
+   */
+  _applyUserSettings(streams, userConfig) {
+    const preferred = applyStreamPreferences(
+      filterByCensorship(streams, parseCensorshipMode(userConfig.censorship)),
+      parseStreamPreferences(userConfig)
+    );
+
+    return this._proxyStreams(preferred, userConfig);
+  }
+
+  /**
+   * Get streams for every variant of a video
+   * Censored and uncensored uploads of the same release are listed together with a variant label
    * @private
    * @param {string} slug - Video slug/ID
    * @param {Object} userApi - Authenticated user API instance
@@ -101,20 +193,77 @@ class StreamHandler {
       return [];
     }
 
+    const variants = [{ id: videoId, slug }, ...this._findVariants(data)];
+    const streams = await this._getVariantStreams(variants[0], userApi);
+
+    // Other variants are optional, a failure there must not hide the requested video's streams
+    for (const variant of variants.slice(1)) {
+      try {
+        streams.push(...await this._getVariantStreams(variant, userApi));
+      } catch (error) {
+        this.logger.warn('Failed to fetch variant streams', {
+          slug,
+          variantSlug: variant.slug,
+          error: error.message
+        });
+      }
+    }
+
+    if (this.logger.isEnabled('info')) {
+      this.logger.info('Stream summary', {
+        slug,
+        variants: variants.length,
+        total: streams.length,
+        resolutions: streams.map(s => `${s.height || '?'}p`).join(', ')
+      });
+    }
+
+    return streams;
+  }
+
+  /**
+   * Find other variants of a video among its franchise videos
+   * @private
+   * @param {Object} data - Video data from the public API
+   * @returns {Array} Variants { id, slug } other than the video itself
+   */
+  _findVariants(data) {
+    const video = data.hentai_video;
+    const variantKey = getVariantKey(video);
+    const franchiseVideos = Array.isArray(data.hentai_franchise_hentai_videos)
+      ? data.hentai_franchise_hentai_videos
+      : [];
+
+    return franchiseVideos
+      .filter(sibling => sibling.id && sibling.slug !== video.slug && getVariantKey(sibling) === variantKey)
+      .map(sibling => ({ id: sibling.id, slug: sibling.slug }));
+  }
+
+  /**
+   * Get streams for one variant using authenticated user API
+   * Streams are labelled with the variant when the video has more than one upload
+   * @private
+   * @param {Object} variant - { id, slug }
+   * @param {Object} userApi - Authenticated user API instance
+   * @returns {Promise<Array>} Array of stream objects
+   */
+  async _getVariantStreams(variant, userApi) {
     try {
       // Use authenticated user API to get video details with streams
-      const videoDetails = await userApi.getVideoDetails(videoId);
+      const videoDetails = await userApi.getVideoDetails(variant.id);
 
       if (!videoDetails || !videoDetails.streams || !Array.isArray(videoDetails.streams)) {
         this.logger.warn('No streams returned from user API', {
-          slug,
-          videoId,
+          slug: variant.slug,
+          videoId: variant.id,
           hasVideoDetails: !!videoDetails,
           streamsCount: videoDetails?.streams?.length || 0
         });
         return [];
       }
 
+      const isCensored = videoDetails.videoInfo?.isCensored;
+
       // Transform streams from user API format to expected format
       const streams = videoDetails.streams.map(stream => ({
         url: stream.url,
@@ -125,39 +274,87 @@ class StreamHandler {
         mime_type: stream.mimeType,
         extension: stream.extension,
         video_stream_group_id: `${stream.serverName}-${stream.serverId}`,
+        is_censored: isCensored,
         is_guest_allowed: stream.isGuestAllowed,
         is_member_allowed: stream.isMemberAllowed,
         is_premium_allowed: stream.isPremiumAllowed,
         is_downloadable: stream.isDownloadable
       })).filter(stream => stream.url && stream.url.trim() !== '');
 
-      if (this.logger.isEnabled('info')) {
-        this.logger.info('Video streams retrieved via user API', {
-          slug,
-          videoId,
-          streamsCount: streams.length
-        });
-
-        // Log stream details
-        const validStreams = streams.filter(s => s.url && s.url.trim() !== '');
-        this.logger.info('Stream summary', {
-          total: streams.length,
-          valid: validStreams.length,
-          resolutions: streams.map(s => `${s.height || '?'}p`).join(', ')
-        });
-      }
+      this.logger.debug('Video streams retrieved via user API', {
+        slug: variant.slug,
+        videoId: variant.id,
+        isCensored,
+        streamsCount: streams.length
+      });
 
       return streams;
     } catch (error) {
       this.logger.error('Failed to fetch video streams via user API', {
-        slug,
-        videoId,
+        slug: variant.slug,
+        videoId: variant.id,
         error: error.message
       });
       throw error;
     }
   }
 
+  /**
+   * Build the "Auto" stream, an adaptive master playlist of the best match's server
+   * The playlist is stored in the remote cache store for as long as the stream response may be cached, so its
+   * URL carries no credentials and any instance can serve it. Only offered when there is more than one
+   * resolution to switch between and a remote store is configured (process memory may not hold it when asked).
+   * @private
+   * @param {Array} streams - Hanime stream objects in preference order
+   * @returns {Promise<Array<Object>>} The Stremio stream, or nothing
+   */
+  async _getAdaptiveStreams(streams) {
+    const adaptiveStreams = selectAdaptiveStreams(streams);
+    if (adaptiveStreams.length < 2 || !hasRemoteStore()) return [];
+
+    // Proxy URLs are signed per request, so the key comes from the upstream URLs and repeat requests
+    // overwrite the same entry
+    const variantUrls = adaptiveStreams.map(stream => (stream.upstream_url ? `proxy:${stream.upstream_url}` : stream.url));
+    const key = crypto.createHash('sha256').update(JSON.stringify(variantUrls)).digest('hex');
+    await setMasterPlaylist(key, toMasterPlaylist(adaptiveStreams));
+
+    return [toAdaptiveStream(adaptiveStreams, buildFullUrl(`/hls/${key}/master.m3u8`))];
+  }
+
+  /**
+   * Route HLS streams through the stream proxy when the user turned it on
+   * Streams the addon can't proxy (not HLS, or the proxy is off on this server) are flagged so the player
+   * is asked to send Hanime's headers itself
+   * @private
+   * @param {Array} streams - Hanime stream objects
+   * @param {Object} userConfig - User configuration
+   * @returns {Array} Streams, HLS ones with a signed proxy URL and upstream_url, others with needs_headers
+   */
+  _proxyStreams(streams, userConfig) {
+    if (!isEnabledOption(userConfig.streamProxy)) return streams;
+
+    const canProxy = Boolean(this.hlsProxyService) && this.hlsProxyService.isEnabledFor(userConfig);
+
+    return streams.map(stream => (canProxy && isHlsStream(stream)
+      ? { ...stream, url: this.hlsProxyService.buildProxyUrl(stream.url), upstream_url: stream.url }
+      : { ...stream, needs_headers: true }));
+  }
+
+  /**
+   * Add a title to the user's watch history without waiting for it
+   * @private
+   * @param {string} id - Full ID with prefix (e.g., "hanime:video-slug" or "hanime:series:base:episode-slug")
+   * @param {Object} userConfig - User configuration with email and password
+   */
+  _recordHistory(id, userConfig) {
+    if (!this.historyService) return;
+
+    const videoId = this._extractVideoId(stripAddonPrefix(id));
+    if (videoId) {
+      this.historyService.record(userConfig, videoId);
+    }
+  }
+
   /**
    * Extract video ID from stream request ID
    * Handles both regular video IDs and series episode IDs
@@ -184,52 +381,60 @@ class StreamHandler {
 
   /**
    * Get streams for a video or series episode
+   * Caches the streams of every variant per entitlement tier, since Hanime returns different streams to guests,
+   * members and premium accounts; callers filter and transform them per user
    * @private
    * @param {string} id - Full ID with prefix (e.g., "hanime:video-slug" or "hanime:series:base:episode-slug")
-   * @param {Object} userApi - Required authenticated user API instance
-   * @returns {Promise<Object>} Streams object with streams array
+   * @param {Object} userApi - Required user API instance (authenticated, or the guest instance)
+   * @param {string} tier - EntitlementTiers value of userApi
+   * @returns {Promise<Array>} Array of stream objects
    */
-  async _getStreams(id, userApi) {
+  async _getStreams(id, userApi, tier) {
     if (!userApi) {
       throw new Error('User API is required for stream requests');
     }
 
-    return cacheWrapStream(id, async () => {
+    return cacheWrapStream(`variants:${tier}:${id}`, async () => {
       const strippedId = stripAddonPrefix(id);
       const videoId = this._extractVideoId(strippedId);
 
       if (!videoId) {
         this.logger.info('Stream requested for parent series ID - returning empty (episodes have streams)', { id, strippedId });
-        return emptyResponse('stream');
+        return [];
       }
 
       // Use authenticated API
-      const streams = await this._getVideoStreams(videoId, userApi);
+      const videoStreams = await this._getVideoStreams(videoId, userApi);
 
-      if (!streams || !Array.isArray(streams)) {
+      if (!videoStreams || !Array.isArray(videoStreams)) {
         this.logger.warn('Stream handler: no streams returned', {
           id,
           videoId,
-          resultType: typeof streams,
-          isArray: Array.isArray(streams)
+          resultType: typeof videoStreams,
+          isArray: Array.isArray(videoStreams)
         });
-        return emptyResponse('stream');
-      }
-
-      const cacheConfig = {
-        maxAge: this.config.cache.browserCacheMaxAge,
-        staleError: 6 * 30 * 24 * 60 * 60 // 6 months in seconds
-      };
-
-      const response = toStremioStreams(streams, cacheConfig);
-
-      if (!response.streams || response.streams.length === 0) {
-        return emptyResponse('stream');
+        return [];
       }
 
-      return response;
+      return this._labelVariants(videoStreams);
     });
   }
+
+  /**
+   * Label streams with their variant when more than one variant is listed
+   * @private
+   * @param {Array} streams - Array of stream objects
+   * @returns {Array} Streams with a variant label when needed
+   */
+  _labelVariants(streams) {
+    const variantCount = new Set(streams.map(stream => stream.is_censored)).size;
+    if (variantCount < 2) return streams;
+
+    return streams.map(stream => ({
+      ...stream,
+      variant: getVariantLabel(stream)
+    }));
+  }
 }
 
 module.exports = StreamHandler;
@@ -0,0 +1,480 @@
+/**
+ * Addon Manifest
+ * Base manifest and per-user manifests built from the addon configuration
+ */
+
+const config = require('./config');
+const { buildFullUrl } = require('./config');
+const constants = require('./constants');
+const { titleize } = require('./transformers/formatters');
+const { parseTagList, getGenreCatalogId } = require('./utils/tag_utils');
+const { getPlaylistCatalogId } = require('./utils/playlist_utils');
+const { buildYearOptions } = require('./utils/date_utils');
+const logger = require('./logger');
+
+// Stremio's addon collection API rejects manifests above 8KB
+const MANIFEST_SIZE_LIMIT = 8192;
+
+// Static tag and brand lists, used when no live taxonomy is given
+const STATIC_TAXONOMY = constants.staticTaxonomy;
+
+// Fields of the configure page
+const CONFIG_FIELDS = [
+  {
+    key: 'email',
+    title: 'Email',
+    type: 'text',
+    required: !config.guest.enabled
+  },
+  {
+    key: 'password',
+    title: 'Password',
+    type: 'password',
+    required: !config.guest.enabled
+  },
+  {
+    key: 'blacklist',
+    title: 'Blacklisted Tags',
+    type: 'text',
+    required: false
+  },
+  {
+    key: 'tagsMode',
+    title: 'Genre Match Mode',
+    type: 'select',
+    options: Object.values(constants.tagModes),
+    default: constants.tagModes.AND,
+    required: false
+  },
+  {
+    key: 'censorship',
+    title: 'Censorship',
+    type: 'select',
+    options: Object.values(constants.censorshipModes),
+    default: constants.censorshipModes.ALL,
+    required: false
+  },
+  {
+    key: 'maxResolution',
+    title: 'Max Resolution',
+    type: 'select',
+    options: Object.keys(constants.streamResolutions),
+    default: 'Any',
+    required: false
+  },
+  {
+    key: 'preferredResolution',
+    title: 'Preferred Resolution',
+    type: 'select',
+    options: Object.keys(constants.streamResolutions),
+    default: 'Any',
+    required: false
+  },
+  {
+    key: 'preferredServer',
+    title: 'Preferred Server',
+    type: 'text',
+    required: false
+  },
+  {
+    key: 'streamSort',
+    title: 'Stream Order',
+    type: 'select',
+    options: Object.values(constants.streamSortModes),
+    default: constants.streamSortModes.QUALITY,
+    required: false
+  },
+  ...(config.streamProxy.enabled ? [{
+    key: 'streamProxy',
+    title: 'Proxy Streams',
+    type: 'checkbox',
+    required: false
+  }] : []),
+  ...(config.history.enabled ? [{
+    key: 'hideWatched',
+    title: 'Hide Watched Titles',
+    type: 'checkbox',
+    required: false
+  }] : []),
+  {
+    key: 'genres',
+    title: 'Favourite Genres',
+    type: 'text',
+    required: false
+  },
+  {
+    key: 'catalogs',
+    title: 'Catalogs',
+    type: 'text',
+    required: false
+  }
+];
+
+// Only the credentials are listed in the manifest: a config form makes the SDK serve configured routes, and
+// the configure page renders the full CONFIG_FIELDS, so the other fields would only cost manifest bytes
+const MANIFEST_CONFIG_KEYS = ['email', 'password'];
+
+const BASE_MANIFEST = {
+  id: config.addon.id,
+  version: config.addon.version,
+  behaviorHints: {
+    adult: true,
+    configurable: true,
+    // In guest mode the addon works unconfigured, credentials unlock higher qualities
+    configurationRequired: !config.guest.enabled
+  },
+  config: CONFIG_FIELDS.filter(field => MANIFEST_CONFIG_KEYS.includes(field.key)),
+  catalogs: [
+    // Anime catalogs
+    {
+      type: constants.contentTypes.ANIME,
+      name: 'Hanime',
+      id: constants.catalogCategories.HANIME,
+      extra: constants.sortableCatalogExtras
+    },
+    {
+      type: constants.contentTypes.ANIME,
+      name: 'Hanime Recent',
+      id: constants.catalogCategories.RECENT,
+      extra: constants.catalogExtras
+    },
+    {
+      type: constants.contentTypes.ANIME,
+      name: 'Hanime Most Likes',
+      id: constants.catalogCategories.MOST_LIKES,
+      extra: constants.catalogExtras
+    },
+    {
+      type: constants.contentTypes.ANIME,
+      name: 'Hanime Most Views',
+      id: constants.catalogCategories.MOST_VIEWS,
+      extra: constants.catalogExtras
+    },
+    {
+      type: constants.contentTypes.ANIME,
+      name: 'Hanime Newest',
+      id: constants.catalogCategories.NEWEST,
+      extra: constants.catalogExtras
+    },
+    {
+      type: constants.contentTypes.ANIME,
+      name: 'Hanime Trending',
+      id: constants.catalogCategories.TRENDING,
+      extra: constants.trendingCatalogExtras
+    },
+    {
+      type: constants.contentTypes.ANIME,
+      name: 'Hanime Random',
+      id: constants.catalogCategories.RANDOM,
+      extra: constants.randomCatalogExtras
+    },
+    {
+      type: constants.contentTypes.ANIME,
+      name: 'Hanime Upcoming',
+      id: constants.catalogCategories.UPCOMING,
+      extra: constants.upcomingCatalogExtras
+    },
+    {
+      type: constants.contentTypes.ANIME,
+      name: 'Hanime by Studio',
+      id: constants.catalogCategories.STUDIO,
+      extra: constants.studioCatalogExtras
+    },
+    {
+      type: constants.contentTypes.ANIME,
+      name: 'Hanime by Year',
+      id: constants.catalogCategories.YEAR,
+      extra: constants.yearCatalogExtras
+    },
+    // Series catalogs
+    {
+      type: constants.contentTypes.SERIES,
+      name: 'Hanime Series',
+      id: constants.catalogCategories.SERIES,
+      extra: constants.catalogExtras
+    },
+    {
+      type: constants.contentTypes.ANIME,
+      name: 'More Like This',
+      id: constants.catalogCategories.SIMILAR,
+      extra: constants.similarCatalogExtras
+    }
+  ],
+  resources: ['catalog', 'stream', 'meta'],
+  types: [constants.contentTypes.ANIME, constants.contentTypes.SERIES],
+  idPrefixes: [constants.addonPrefix],
+  name: config.addon.name,
+  icon: buildFullUrl(config.addon.icon),
+  logo: buildFullUrl(config.addon.logo),
+  background: buildFullUrl(config.addon.background),
+  description: config.addon.description
+};
+
+if (config.addon.stremioAddonsConfig) {
+  BASE_MANIFEST.stremioAddonsConfig = config.addon.stremioAddonsConfig;
+}
+
+// ============================================================================
+// Public Functions
+// ============================================================================
+
+/**
+ * Parse the catalog selection from user configuration
+ * Comma-separated catalog IDs in display order, each optionally renamed with "=Name"
+ * (e.g., "hanime-trending=Hot Right Now, hanime-series")
+ * @param {string} value - Configured selection
+ * @returns {Array<Object>} Selected catalogs { id, name } (name is null when not renamed)
+ */
+function parseCatalogSelection(value) {
+  if (!value || typeof value !== 'string') return [];
+
+  return value
+    .split(',')
+    .map((entry) => {
+      const separator = entry.indexOf('=');
+      const id = (separator === -1 ? entry : entry.slice(0, separator)).trim();
+      const name = separator === -1 ? '' : entry.slice(separator + 1).trim();
+      return { id, name: name || null };
+    })
+    .filter(entry => entry.id !== '');
+}
+
+/**
+ * Check if a catalog can only be opened from links
+ * A required extra without options hides a catalog from Discover and the board
+ * @param {Object} catalog - Manifest catalog
+ * @returns {boolean} True if the catalog is not browsable
+ */
+function isLinkOnlyCatalog(catalog) {
+  return (catalog.extra || []).some(extra => extra.isRequired && !extra.options);
+}
+
+/**
+ * Get the base manifest with live tag and brand options
+ * Falls back to the static options when the live ones don't fit the size limit
+ * @param {Object} taxonomy - { genres, brands } from the taxonomy service
+ * @returns {Object} Manifest
+ */
+function getBaseManifest(taxonomy = STATIC_TAXONOMY) {
+  return _fitManifestSize(_compactExtras(_applyTaxonomy(BASE_MANIFEST, taxonomy)));
+}
+
+/**
+ * Build the manifest for a user configuration
+ * Each favourite genre adds its own catalog, and a configured account adds its recently watched, liked
+ * videos, watch later and playlist catalogs. Only the selected catalogs are listed, in the selected order
+ * and with custom names; favourite genre and account catalogs missing from the selection are appended.
+ * Like the SDK, configured manifests drop configurationRequired and configurable so Stremio installs
+ * them directly. The config form is dropped too, it is only used by the configure page.
+ * @param {Object} userConfig - Parsed addon configuration
+ * @param {Object} taxonomy - { genres, brands } from the taxonomy service
+ * @param {Array<Object>} playlists - The account's own playlists { id, title } from the account service
+ * @returns {Object} Manifest
+ */
+function buildManifest(userConfig = {}, taxonomy = STATIC_TAXONOMY, playlists = []) {
+  const { configurationRequired, configurable, ...behaviorHints } = BASE_MANIFEST.behaviorHints;
+  const { config: configFields, ...manifest } = BASE_MANIFEST;
+  const personalCatalogs = [
+    ..._buildGenreCatalogs(userConfig.genres, taxonomy.genres),
+    ...(userConfig.email && userConfig.password ? _buildAccountCatalogs(playlists) : [])
+  ];
+
+  return _fitManifestSize(_compactExtras(_applyTaxonomy({
+    ...manifest,
+    behaviorHints,
+    catalogs: _selectCatalogs(userConfig.catalogs, personalCatalogs)
+  }, taxonomy)));
+}
+
+// ============================================================================
+// Private Functions
+// ============================================================================
+
+/**
+ * Replace genre and brand extra options with a taxonomy's lists, and year options with the current years
+ * @private
+ * @param {Object} manifest - Manifest
+ * @param {Object} taxonomy - { genres, brands }
+ * @returns {Object} Manifest
+ */
+function _applyTaxonomy(manifest, taxonomy) {
+  const optionsByExtra = {
+    genre: taxonomy.genres,
+    brand: taxonomy.brands,
+    // Built per manifest, long-running servers list the new year after 1 January
+    year: buildYearOptions(constants.OLDEST_RELEASE_YEAR)
+  };
+
+  return {
+    ...manifest,
+    catalogs: manifest.catalogs.map(catalog => ({
+      ...catalog,
+      extra: (catalog.extra || []).map(extra =>
+        extra.options && optionsByExtra[extra.name] ? { ...extra, options: optionsByExtra[extra.name] } : extra
+      )
+    }))
+  };
+}
+
+/**
+ * Drop `isRequired: false` from catalog extras, it is Stremio's default and repeated on every extra
+ * @private
+ * @param {Object} manifest - Manifest
+ * @returns {Object} Manifest
+ */
+function _compactExtras(manifest) {
+  return {
+    ...manifest,
+    catalogs: manifest.catalogs.map(catalog => ({
+      ...catalog,
+      extra: (catalog.extra || []).map(({ isRequired, ...extra }) => (isRequired ? { ...extra, isRequired } : extra))
+    }))
+  };
+}
+
+/**
+ * Build catalogs for favourite genres
+ * Unknown genres are ignored, at most MAX_GENRE_CATALOGS are built
+ * @private
+ * @param {string} genres - Comma-separated favourite genres
+ * @param {Array<string>} knownGenres - Available genres
+ * @returns {Array<Object>} Manifest catalogs
+ */
+function _buildGenreCatalogs(genres, knownGenres) {
+  return parseTagList(genres)
+    .filter(genre => knownGenres.includes(genre))
+    .slice(0, constants.maxGenreCatalogs)
+    .map(genre => ({
+      type: constants.contentTypes.ANIME,
+      name: `Hanime · ${titleize(genre)}`,
+      id: getGenreCatalogId(genre),
+      extra: constants.genreCatalogExtras
+    }));
+}
+
+/**
+ * Build catalogs for the recently watched titles and the account's liked videos, watch later list and playlists
+ * At most MAX_PLAYLIST_CATALOGS playlists are listed
+ * @private
+ * @param {Array<Object>} playlists - The account's own playlists { id, title }
+ * @returns {Array<Object>} Manifest catalogs
+ */
+function _buildAccountCatalogs(playlists) {
+  const playlistCatalogs = (Array.isArray(playlists) ? playlists : [])
+    .slice(0, constants.maxPlaylistCatalogs)
+    .map(playlist => ({
+      type: constants.contentTypes.ANIME,
+      name: playlist.title || 'Hanime Playlist',
+      id: getPlaylistCatalogId(playlist.id),
+      extra: constants.accountCatalogExtras
+    }));
+
+  const historyCatalogs = config.history.enabled
+    ? [{
+      type: constants.contentTypes.ANIME,
+      name: 'Hanime Recently Watched',
+      id: constants.catalogCategories.HISTORY,
+      extra: constants.accountCatalogExtras
+    }]
+    : [];
+
+  return [
+    ...historyCatalogs,
+    {
+      type: constants.contentTypes.ANIME,
+      name: 'Hanime Liked Videos',
+      id: constants.catalogCategories.LIKED,
+      extra: constants.accountCatalogExtras
+    },
+    {
+      type: constants.contentTypes.ANIME,
+      name: 'Hanime Watch Later',
+      id: constants.catalogCategories.WATCH_LATER,
+      extra: constants.accountCatalogExtras
+    },
+    ...playlistCatalogs
+  ];
+}
+
+/**
+ * Pick, order and rename catalogs from a catalog selection
+ * Unknown and repeated IDs are ignored. Without a valid selection every base catalog is listed.
+ * Link-only catalogs are not part of the selection and are always listed, so their links keep working.
+ * @private
+ * @param {string} selection - Configured selection
+ * @param {Array<Object>} personalCatalogs - Favourite genre and account catalogs
+ * @returns {Array<Object>} Manifest catalogs
+ */
+function _selectCatalogs(selection, personalCatalogs) {
+  const catalogsById = new Map([...BASE_MANIFEST.catalogs, ...personalCatalogs].map(catalog => [catalog.id, catalog]));
+  const selected = [];
+
+  parseCatalogSelection(selection).forEach(({ id, name }) => {
+    const catalog = catalogsById.get(id);
+    if (!catalog) return;
+
+    selected.push(name ? { ...catalog, name } : catalog);
+    catalogsById.delete(id);
+  });
+
+  const baseCatalogs = selected.length > 0
+    ? [...selected, ...BASE_MANIFEST.catalogs.filter(catalog => isLinkOnlyCatalog(catalog) && catalogsById.has(catalog.id))]
+    : BASE_MANIFEST.catalogs;
+
+  return [...baseCatalogs, ...personalCatalogs.filter(catalog => catalogsById.has(catalog.id))];
+}
+
+/**
+ * Shrink a manifest until it fits the size limit
+ * Catalogs keep their pickers: first live tag and brand options are swapped for the static ones (the live
+ * lists run longer), then the last favourite genre and playlist catalogs are dropped (users can make room
+ * by hiding other catalogs).
+ * @private
+ * @param {Object} manifest - Manifest
+ * @returns {Object} Manifest within the size limit (as far as options and droppable catalogs allow)
+ */
+function _fitManifestSize(manifest) {
+  const fits = candidate => JSON.stringify(candidate).length <= MANIFEST_SIZE_LIMIT;
+
+  if (fits(manifest)) return manifest;
+
+  const withStaticOptions = _compactExtras(_applyTaxonomy(manifest, STATIC_TAXONOMY));
+
+  // Expected with a full live tag list (every picker repeats it), so only logged at debug level
+  if (fits(withStaticOptions)) {
+    logger.debug('Live tag and brand options exceed the manifest size limit, using static options');
+    return withStaticOptions;
+  }
+
+  const isDroppable = catalog =>
+    catalog.id.startsWith(constants.genreCatalogPrefix) || catalog.id.startsWith(constants.playlistCatalogPrefix);
+  const catalogs = [...withStaticOptions.catalogs];
+  const dropped = [];
+
+  while (!fits({ ...withStaticOptions, catalogs })) {
+    const index = catalogs.map(isDroppable).lastIndexOf(true);
+    if (index === -1) break;
+    dropped.push(catalogs.splice(index, 1)[0].id);
+  }
+
+  const fitted = { ...withStaticOptions, catalogs };
+
+  if (dropped.length > 0) {
+    logger.warn('Genre and playlist catalogs dropped to fit the manifest size limit', { dropped });
+  }
+
+  if (!fits(fitted)) {
+    logger.warn('Manifest exceeds the size limit', { size: JSON.stringify(fitted).length, limit: MANIFEST_SIZE_LIMIT });
+  }
+
+  return fitted;
+}
+
+module.exports = {
+  CONFIG_FIELDS,
+  BASE_MANIFEST,
+  parseCatalogSelection,
+  isLinkOnlyCatalog,
+  getBaseManifest,
+  buildManifest
+};
@@ -0,0 +1,35 @@
+/**
+ * Calendar Middleware
+ * Serves upcoming releases as an iCalendar feed for calendar apps
+ */
+
+const config = require('../config');
+const logger = require('../logger');
+const { toICalendar } = require('../transformers/calendar_transformer');
+
+// ============================================================================
+// Public Functions
+// ============================================================================
+
+/**
+ * Create calendar feed middleware for Express
+ * @param {UpcomingService} upcomingService - Provides the scheduled releases
+ * @returns {Function} Express middleware
+ */
+function createCalendarMiddleware(upcomingService) {
+  return async (req, res) => {
+    try {
+      const videos = await upcomingService.getUpcoming();
+
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+      res.setHeader('Content-Disposition', 'inline; filename="calendar.ics"');
+      res.setHeader('Cache-Control', `public, max-age=${config.cache.ttl.catalog}`);
+      res.end(toICalendar(videos, `${config.addon.name} Upcoming`));
+    } catch (error) {
+      logger.error('Calendar feed error', { error: error.message, stack: error.stack });
+      res.status(500).send('Calendar unavailable');
+    }
+  };
+}
+
+module.exports = createCalendarMiddleware;
@@ -0,0 +1,48 @@
+/**
+ * HLS Middleware
+ * Serves the adaptive master playlists the stream handler stored for "Auto" streams
+ */
+
+const logger = require('../logger');
+const { getMasterPlaylist } = require('../cache');
+
+// Playlists are keyed by the SHA-256 hash of their content
+const PLAYLIST_KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+// ============================================================================
+// Public Functions
+// ============================================================================
+
+/**
+ * Create master playlist middleware for Express
+ * Mount on "/hls/:key/master.m3u8"
+ * @returns {Function} Express middleware
+ */
+function createHlsMiddleware() {
+  return async (req, res) => {
+    const key = req.params.key;
+
+    if (!PLAYLIST_KEY_PATTERN.test(key || '')) {
+      return res.status(400).send('Invalid request');
+    }
+
+    try {
+      const playlist = await getMasterPlaylist(key);
+
+      if (!playlist) {
+        return res.status(404).send('Playlist expired');
+      }
+
+      // Stream URLs can expire, so the playlist is not cached
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.end(playlist);
+    } catch (error) {
+      logger.error('Master playlist error', { key, error: error.message, stack: error.stack });
+      res.status(500).send('Playlist unavailable');
+    }
+  };
+}
+
+module.exports = createHlsMiddleware;
@@ -0,0 +1,71 @@
+/**
+ * Manifest Middleware
+ * Serves manifests with live tag and brand options, and per-user manifests under the config path
+ * so each user only gets their chosen catalogs and their account's playlists
+ * Requests with an invalid config fall through to the SDK router (static base manifest)
+ */
+
+const logger = require('../logger');
+const { getBaseManifest, buildManifest } = require('../manifest');
+const { parseConfigParam } = require('../utils/config_utils');
+
+// ============================================================================
+// Public Functions
+// ============================================================================
+
+/**
+ * Create manifest middleware for Express
+ * Mount on "/manifest.json" and "/:config/manifest.json" before the SDK router
+ * @param {TaxonomyService} taxonomyService - Provides the live tag and brand lists
+ * @param {AccountService} accountService - Provides the account's playlists for configured manifests
+ * @returns {Function} Express middleware
+ */
+function createManifestMiddleware(taxonomyService, accountService = null) {
+  return async (req, res, next) => {
+    const taxonomy = await taxonomyService.getTaxonomy();
+    let manifest;
+
+    if (req.params.config) {
+      const userConfig = parseConfigParam(req.params.config);
+
+      if (!userConfig) {
+        logger.debug('Invalid config in manifest request');
+        return next();
+      }
+
+      manifest = buildManifest(userConfig, taxonomy, await _getPlaylists(accountService, userConfig));
+    } else {
+      manifest = getBaseManifest(taxonomy);
+    }
+
+    // The SDK router adds CORS headers, this route answers before it
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(manifest));
+  };
+}
+
+// ============================================================================
+// Private Functions
+// ============================================================================
+
+/**
+ * Get the account's playlists for a configured manifest
+ * Best effort: without them the manifest still lists liked videos and watch later
+ * @private
+ * @param {AccountService|null} accountService - Account service
+ * @param {Object} userConfig - User configuration
+ * @returns {Promise<Array<Object>>} Playlists { id, title }
+ */
+async function _getPlaylists(accountService, userConfig) {
+  if (!accountService || !accountService.hasAccount(userConfig)) return [];
+
+  try {
+    return await accountService.getPlaylists(userConfig);
+  } catch (error) {
+    logger.warn('Failed to load account playlists for the manifest', { error: error.message });
+    return [];
+  }
+}
+
+module.exports = createManifestMiddleware;
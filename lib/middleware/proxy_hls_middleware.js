@@ -0,0 +1,87 @@
+/**
+ * HLS Proxy Middleware
+ * Serves signed stream proxy URLs: playlists are fetched with the CDN header profile and rewritten,
+ * anything else (keys, segments) is relayed as is
+ */
+
+const { pipeline } = require('stream');
+const logger = require('../logger');
+
+// Upstream headers passed on to the player for relayed resources
+const RELAYED_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges'];
+
+// ============================================================================
+// Public Functions
+// ============================================================================
+
+/**
+ * Create stream proxy middleware for Express
+ * Mount on "/proxy/hls/:file"
+ * @param {HlsProxyService} hlsProxyService - Signs, verifies and fetches proxied URLs
+ * @returns {Function} Express middleware
+ */
+function createHlsProxyMiddleware(hlsProxyService) {
+  return async (req, res) => {
+    const { url, exp, sig } = req.query;
+
+    // Without a secret nothing was signed, so no link can be valid
+    if (!hlsProxyService.enabled) {
+      return res.status(404).send('Stream proxy disabled');
+    }
+
+    if (!hlsProxyService.verify(url, exp, sig)) {
+      return res.status(403).send('Invalid or expired link');
+    }
+
+    try {
+      const upstream = await hlsProxyService.fetch(url, req.headers.range);
+
+      res.setHeader('Access-Control-Allow-Origin', '*');
+
+      if (hlsProxyService.isPlaylist(upstream, url)) {
+        const playlist = await hlsProxyService.readPlaylist(upstream, url);
+
+        res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+        res.setHeader('Cache-Control', 'no-cache');
+        return res.end(playlist);
+      }
+
+      _relay(upstream, res);
+    } catch (error) {
+      const status = error.response?.status;
+
+      logger.warn('Stream proxy upstream error', { status, error: error.message });
+      if (!res.headersSent) {
+        res.status(status === 403 || status === 404 ? status : 502).send('Upstream unavailable');
+      }
+    }
+  };
+}
+
+// ============================================================================
+// Private Functions
+// ============================================================================
+
+/**
+ * Relay an upstream response body to the player
+ * The pipeline stops fetching when the player goes away, and ends the response when the CDN drops the
+ * connection partway through
+ * @private
+ * @param {Object} upstream - Axios response with a stream body
+ * @param {Object} res - Express response
+ */
+function _relay(upstream, res) {
+  res.status(upstream.status);
+
+  RELAYED_HEADERS.forEach((header) => {
+    if (upstream.headers[header]) res.setHeader(header, upstream.headers[header]);
+  });
+
+  pipeline(upstream.data, res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      logger.warn('Stream proxy relay interrupted', { error: error.message });
+    }
+  });
+}
+
+module.exports = createHlsProxyMiddleware;
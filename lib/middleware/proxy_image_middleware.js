@@ -19,14 +19,16 @@ const HanimeApiClient = require('../clients/hanime_api_client');
  * Create image proxy middleware for Express
  * @param {Object} config - Configuration object
  * @param {HanimeApiClient} apiClient - Optional existing API client (to avoid duplicate initialization)
+ * @param {SeriesIndex} seriesIndex - Optional shared series index (for series posters)
+ * @param {SearchIndex} searchIndex - Optional shared search index (meta cached from here needs its similar titles)
  * @returns {Function} Express middleware
  */
-function createImageProxyMiddleware(config, apiClient = null) {
+function createImageProxyMiddleware(config, apiClient = null, seriesIndex = null, searchIndex = null) {
   const cdnUrl = config.api.cdnUrl;
   const imageFetchService = new ImageFetchService(cdnUrl);
   // Use provided apiClient or create a new one if not provided
   const client = apiClient || new HanimeApiClient(config);
-  const metaService = new MetaService(client, config);
+  const metaService = new MetaService(client, config, seriesIndex, searchIndex);
   const cdnUrlResolver = new CdnUrlResolver(metaService);
 
   return async (req, res) => {
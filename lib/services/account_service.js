@@ -0,0 +1,146 @@
+/**
+ * Account Service
+ * Serves the signed-in account's liked videos, watch later list and playlists as personal catalogs
+ * Lists are cached per user (keyed by the credentials hash) with a short TTL
+ */
+
+const { CatalogCategories } = require('../constants');
+const { cacheWrapAccount } = require('../cache');
+const { findSystemPlaylist, getPlaylistIdFromCatalogId, isSystemPlaylist } = require('../utils/playlist_utils');
+
+// Page size and cap for loading a playlist, catalogs page through the cached list
+const PAGE_SIZE = 100;
+const MAX_VIDEOS = 500;
+
+class AccountService {
+  constructor(userApiManager) {
+    this.userApiManager = userApiManager;
+  }
+
+  // ============================================================================
+  // Public Methods
+  // ============================================================================
+
+  /**
+   * Check if a user configuration signs in to an account
+   * @param {Object} userConfig - Addon configuration
+   * @returns {boolean} True if email and password are set
+   */
+  hasAccount(userConfig) {
+    return Boolean(userConfig && userConfig.email && userConfig.password);
+  }
+
+  /**
+   * Get the account's own playlists, without the liked videos and watch later lists
+   * @param {Object} userConfig - Addon configuration with email and password
+   * @returns {Promise<Array<Object>>} Playlists { id, title }
+   */
+  async getPlaylists(userConfig) {
+    const playlists = await this._getAllPlaylists(userConfig);
+
+    return playlists
+      .filter(playlist => !isSystemPlaylist(playlist))
+      .map(playlist => ({ id: playlist.id, title: playlist.title }));
+  }
+
+  /**
+   * Get the videos of an account catalog (liked videos, watch later or a playlist)
+   * @param {string} catalogId - Account catalog ID
+   * @param {Object} userConfig - Addon configuration with email and password
+   * @returns {Promise<Array<Object>>} Videos in list order (at most MAX_VIDEOS)
+   */
+  async getVideos(catalogId, userConfig) {
+    const videos = await cacheWrapAccount(`${this._getUserKey(userConfig)}:${catalogId}`, async () => {
+      const userApi = await this._getUserApi(userConfig);
+      const fetchPage = await this._getPageFetcher(catalogId, userApi, userConfig);
+
+      return fetchPage ? this._fetchAll(fetchPage) : [];
+    });
+
+    return videos || [];
+  }
+
+  // ============================================================================
+  // Private Methods
+  // ============================================================================
+
+  /**
+   * Get the per-user part of account cache keys
+   * @private
+   * @param {Object} userConfig - Addon configuration with email and password
+   * @returns {string} Credentials hash
+   */
+  _getUserKey(userConfig) {
+    if (!this.hasAccount(userConfig)) {
+      throw new Error('Email and password are required for account catalogs');
+    }
+
+    return this.userApiManager.getCredentialsHash(userConfig.email, userConfig.password);
+  }
+
+  /**
+   * Get all of the account's playlists, including the liked videos and watch later lists
+   * Cached per user, so paging through a system playlist doesn't list the playlists again
+   * @private
+   * @param {Object} userConfig - Addon configuration with email and password
+   * @returns {Promise<Array<Object>>} Playlists { id, slug, title, kind, videoCount }
+   */
+  async _getAllPlaylists(userConfig) {
+    const playlists = await cacheWrapAccount(`${this._getUserKey(userConfig)}:playlists`, async () => {
+      const userApi = await this._getUserApi(userConfig);
+      return userApi.getPlaylists();
+    });
+
+    return playlists || [];
+  }
+
+  /**
+   * Get the authenticated user API for a configuration
+   * @private
+   * @param {Object} userConfig - Addon configuration with email and password
+   * @returns {Promise<HanimeUserApi>} User API instance
+   */
+  _getUserApi(userConfig) {
+    return this.userApiManager.getUserApi(userConfig.email, userConfig.password);
+  }
+
+  /**
+   * Get the page loader for an account catalog
+   * The liked videos and watch later lists are system playlists, found once in the cached playlist list
+   * @private
+   * @param {string} catalogId - Account catalog ID
+   * @param {HanimeUserApi} userApi - User API instance
+   * @param {Object} userConfig - Addon configuration with email and password
+   * @returns {Promise<Function|null>} (offset, count) => Promise<Array>, or null for unknown catalogs and
+   *   missing system playlists
+   */
+  async _getPageFetcher(catalogId, userApi, userConfig) {
+    const isSystemCatalog = catalogId === CatalogCategories.LIKED || catalogId === CatalogCategories.WATCH_LATER;
+    const playlistId = isSystemCatalog
+      ? (findSystemPlaylist(await this._getAllPlaylists(userConfig), catalogId) || {}).id
+      : getPlaylistIdFromCatalogId(catalogId);
+
+    return playlistId ? (offset, count) => userApi.getPlaylistVideos(playlistId, offset, count) : null;
+  }
+
+  /**
+   * Load every page of a list, up to MAX_VIDEOS
+   * @private
+   * @param {Function} fetchPage - (offset, count) => Promise<Array>
+   * @returns {Promise<Array<Object>>} Videos
+   */
+  async _fetchAll(fetchPage) {
+    const videos = [];
+
+    while (videos.length < MAX_VIDEOS) {
+      const page = await fetchPage(videos.length, PAGE_SIZE);
+      videos.push(...page);
+
+      if (page.length < PAGE_SIZE) break;
+    }
+
+    return videos.slice(0, MAX_VIDEOS);
+  }
+}
+
+module.exports = AccountService;
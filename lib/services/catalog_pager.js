@@ -0,0 +1,184 @@
+/**
+ * Catalog Pager
+ * Maps Stremio skip offsets onto fixed-size upstream search pages
+ * Results are filtered (and variants merged) in upstream order before the window is cut, so consecutive
+ * windows never overlap or come back short while more results exist upstream
+ * Upstream pages are cached individually, so windows at any offset share the same page entries
+ * Every page is also fed to the local search index
+ */
+
+const { cacheWrapCatalog } = require('../cache');
+const { seededShuffle } = require('../utils/random_utils');
+
+// Failed requests are not cached, the flag lets callers tell them apart from empty results
+const FAILED_PAGE = { hits: [], nbPages: 0, failed: true };
+
+class CatalogPager {
+  constructor(apiClient, config, searchIndex = null) {
+    this.apiClient = apiClient;
+    this.searchIndex = searchIndex;
+    this.pageSize = config.pagination.itemsPerPage; // Search API returns 48 hits per page
+    this.maxScanPages = config.pagination.maxScanPages;
+  }
+
+  // ============================================================================
+  // Public Methods
+  // ============================================================================
+
+  /**
+   * Get a window of search results matching a local predicate
+   * Scans upstream pages until skip + limit matches are found. When the matches are contiguous in upstream
+   * order (bounds given), the first page is found by binary search and scanning stops at the first result
+   * past the matches. Otherwise scanning starts at the first page and goes at most maxScanPages pages past
+   * the pages the window would cover unfiltered.
+   * The predicate is called once per result in upstream order, so it may keep state (e.g., merging variants).
+   * @param {Object} params - Search parameters (without page)
+   * @param {number} skip - Number of matches to skip
+   * @param {number} limit - Window size
+   * @param {Function} predicate - Returns true for results to keep
+   * @param {Object} bounds - Optional { isBefore, isAfter } predicates for results ahead of/past the matches
+   * @returns {Promise<Array>} Matches in the window
+   */
+  async getFilteredWindow(params, skip, limit, predicate, bounds = null) {
+    const firstResult = await this.getPage({ ...params, page: 0 });
+    const lastPage = bounds
+      ? firstResult.nbPages - 1
+      : Math.min(firstResult.nbPages, this._getScanPageCount(skip, limit)) - 1;
+
+    const matches = [];
+    let page = bounds ? await this._findFirstPage(params, firstResult.nbPages, bounds.isBefore) : 0;
+
+    while (page <= lastPage && matches.length < skip + limit) {
+      const { hits } = page === 0 ? firstResult : await this.getPage({ ...params, page });
+
+      if (hits.length === 0) break;
+
+      matches.push(...hits.filter(predicate));
+
+      if (bounds && hits.some(bounds.isAfter)) break;
+      page++;
+    }
+
+    return matches.slice(skip, skip + limit);
+  }
+
+  /**
+   * Get a window of grouped results (e.g., series built from episodes)
+   * Grouping shrinks pages, so upstream pages are accumulated from the start and regrouped
+   * until enough groups exist to fill the window (at most maxScanPages pages)
+   * @param {Object} params - Search parameters (without page)
+   * @param {number} skip - Number of groups to skip
+   * @param {number} limit - Window size
+   * @param {Function} groupItems - Groups an array of results, keeping a stable order
+   * @returns {Promise<Array>} Groups in the window
+   */
+  async getGroupedWindow(params, skip, limit, groupItems) {
+    const hits = [];
+    let groups = [];
+
+    for (let page = 0; page < this.maxScanPages; page++) {
+      const result = await this.getPage({ ...params, page });
+      hits.push(...result.hits);
+      groups = groupItems(hits);
+
+      if (groups.length >= skip + limit || result.hits.length === 0 || page >= result.nbPages - 1) break;
+    }
+
+    return groups.slice(skip, skip + limit);
+  }
+
+  /**
+   * Get a window of search results matching a local predicate, in a seeded random order
+   * Upstream pages are visited in shuffled order and their hits shuffled, so the same seed gives the
+   * same order at every offset. Pages should be requested in an order new uploads don't shift (oldest first).
+   * Like getFilteredWindow, shuffled pages are scanned from the first one and the predicate sees every
+   * result in order.
+   * @param {Object} params - Search parameters (without page)
+   * @param {number} skip - Number of matches to skip
+   * @param {number} limit - Window size
+   * @param {number} seed - Shuffle seed
+   * @param {Function} predicate - Returns true for results to keep
+   * @returns {Promise<Array>} Matches in the window
+   */
+  async getShuffledWindow(params, skip, limit, seed, predicate) {
+    const firstResult = await this.getPage({ ...params, page: 0 });
+    const pageOrder = seededShuffle([...Array(firstResult.nbPages).keys()], seed);
+    const lastSlot = Math.min(pageOrder.length, this._getScanPageCount(skip, limit)) - 1;
+    const matches = [];
+
+    for (let slot = 0; slot <= lastSlot && matches.length < skip + limit; slot++) {
+      const page = pageOrder[slot];
+      const result = page === 0 ? firstResult : await this.getPage({ ...params, page });
+      matches.push(...seededShuffle(result.hits, (seed + slot) >>> 0).filter(predicate));
+    }
+
+    return matches.slice(skip, skip + limit);
+  }
+
+  /**
+   * Fetch one upstream search page, cached per page
+   * Failed requests are not cached and yield an empty page flagged as failed
+   * @param {Object} params - Search parameters including page
+   * @returns {Promise<Object>} { hits, nbPages, failed }
+   */
+  async getPage(params) {
+    const pageKey = JSON.stringify([
+      params.query, params.tags, params.tagsMode, params.brands, params.blacklist,
+      params.orderBy, params.ordering, params.page
+    ]);
+
+    const result = await cacheWrapCatalog(`page:${pageKey}`, () => this.apiClient.searchPage(params));
+    if (!result) return FAILED_PAGE;
+
+    if (this.searchIndex) {
+      this.searchIndex.add(result.hits);
+    }
+
+    return result;
+  }
+
+  // ============================================================================
+  // Private Methods
+  // ============================================================================
+
+  /**
+   * Get the number of upstream pages a filtered scan may read
+   * The pages the window covers unfiltered, plus maxScanPages for the results the filter drops
+   * @private
+   * @param {number} skip - Number of matches to skip
+   * @param {number} limit - Window size
+   * @returns {number} Page count
+   */
+  _getScanPageCount(skip, limit) {
+    return Math.floor((skip + limit - 1) / this.pageSize) + this.maxScanPages;
+  }
+
+  /**
+   * Binary search for the first upstream page that is not entirely ahead of the matches
+   * @private
+   * @param {Object} params - Search parameters (without page)
+   * @param {number} nbPages - Number of upstream pages
+   * @param {Function} isBefore - Predicate for results ahead of the matches
+   * @returns {Promise<number>} Page number
+   */
+  async _findFirstPage(params, nbPages, isBefore) {
+    let low = 0;
+    let high = Math.max(nbPages - 1, 0);
+
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      const { hits } = await this.getPage({ ...params, page: middle });
+      const lastHit = hits[hits.length - 1];
+
+      if (lastHit && isBefore(lastHit)) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    return low;
+  }
+}
+
+module.exports = CatalogPager;
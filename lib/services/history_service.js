@@ -0,0 +1,173 @@
+/**
+ * History Service
+ * Records the titles each user requests streams for, for the recently watched catalog and hiding watched titles
+ * Histories are keyed by the credentials hash and kept in the remote cache store (process memory without one),
+ * most recent first. Writes are serialized per user within one process only: instances sharing a store
+ * may overwrite each other's concurrent writes (last write wins).
+ */
+
+const logger = require('../logger');
+const { getHistory, setHistory, hasRemoteStore } = require('../cache');
+const { getVideoTags } = require('../utils/similarity_utils');
+const { getVariantKey } = require('../utils/variant_utils');
+const { trimVideo } = require('../utils/video_utils');
+
+class HistoryService {
+  constructor(apiClient, userApiManager, config) {
+    this.apiClient = apiClient;
+    this.userApiManager = userApiManager;
+    this.enabled = config.history.enabled;
+    this.maxEntries = config.history.maxEntries;
+    this.ttl = config.cache.ttl.history * 1000;
+    this.localHistories = hasRemoteStore() ? null : new Map(); // Credentials hash -> history, only without a remote store
+    this.queues = new Map(); // Credentials hash -> pending write, so a user's writes don't overwrite each other
+  }
+
+  // ============================================================================
+  // Public Methods
+  // ============================================================================
+
+  /**
+   * Check if history can be recorded for a user configuration
+   * @param {Object} userConfig - Addon configuration
+   * @returns {boolean} True if history is enabled and the configuration has credentials
+   */
+  isAvailable(userConfig) {
+    return this.enabled && Boolean(userConfig && userConfig.email && userConfig.password);
+  }
+
+  /**
+   * Move a title to the top of a user's history
+   * Never rejects, failures are logged
+   * @param {Object} userConfig - Addon configuration with email and password
+   * @param {string} slug - Video slug
+   * @returns {Promise<void>}
+   */
+  record(userConfig, slug) {
+    if (!slug || !this.isAvailable(userConfig)) return Promise.resolve();
+
+    const userKey = this._getUserKey(userConfig);
+    const previous = this.queues.get(userKey) || Promise.resolve();
+    const pending = previous
+      .then(() => this._record(userKey, slug))
+      .catch((error) => {
+        logger.warn('Failed to record watch history', { slug, error: error.message });
+      })
+      .finally(() => {
+        if (this.queues.get(userKey) === pending) this.queues.delete(userKey);
+      });
+
+    this.queues.set(userKey, pending);
+    return pending;
+  }
+
+  /**
+   * Get a user's watched titles, most recently watched first
+   * @param {Object} userConfig - Addon configuration with email and password
+   * @returns {Promise<Array<Object>>} Videos with watched_at_unix
+   */
+  async getVideos(userConfig) {
+    if (!this.isAvailable(userConfig)) return [];
+
+    return this._load(this._getUserKey(userConfig));
+  }
+
+  /**
+   * Get the variant keys of a user's watched titles, so every variant of a watched release matches
+   * @param {Object} userConfig - Addon configuration with email and password
+   * @returns {Promise<Set<string>>} Variant keys
+   */
+  async getWatchedKeys(userConfig) {
+    const videos = await this.getVideos(userConfig);
+    return new Set(videos.map(video => getVariantKey(video)));
+  }
+
+  // ============================================================================
+  // Private Methods
+  // ============================================================================
+
+  /**
+   * Get the history key for a user configuration
+   * @private
+   * @param {Object} userConfig - Addon configuration with email and password
+   * @returns {string} Credentials hash
+   */
+  _getUserKey(userConfig) {
+    return this.userApiManager.getCredentialsHash(userConfig.email, userConfig.password);
+  }
+
+  /**
+   * Load a user's history
+   * @private
+   * @param {string} userKey - Credentials hash
+   * @returns {Promise<Array<Object>>} Videos with watched_at_unix
+   */
+  async _load(userKey) {
+    const stored = this.localHistories ? this.localHistories.get(userKey) : await getHistory(userKey);
+    return Array.isArray(stored) ? stored : [];
+  }
+
+  /**
+   * Save a user's history to the remote store, or to process memory without one
+   * In memory, histories not written to for the history TTL are dropped
+   * @private
+   * @param {string} userKey - Credentials hash
+   * @param {Array<Object>} history - Videos with watched_at_unix, most recent first
+   * @returns {Promise<void>}
+   */
+  async _save(userKey, history) {
+    if (!this.localHistories) return setHistory(userKey, history);
+
+    // Re-inserting keeps the map ordered by last write, so expired histories are at the front
+    this.localHistories.delete(userKey);
+    this.localHistories.set(userKey, history);
+
+    const oldest = Date.now() - this.ttl;
+    for (const [storedKey, stored] of this.localHistories) {
+      if (stored[0].watched_at_unix * 1000 >= oldest) break;
+      this.localHistories.delete(storedKey);
+    }
+  }
+
+  /**
+   * Move a title to the top of a user's history, fetching its details the first time
+   * @private
+   * @param {string} userKey - Credentials hash
+   * @param {string} slug - Video slug
+   * @returns {Promise<void>}
+   */
+  async _record(userKey, slug) {
+    const history = await this._load(userKey);
+    const existing = history.find(video => video.slug === slug);
+    const video = existing || await this._fetchVideo(slug);
+
+    if (!video) {
+      logger.debug('Watch history: no video data returned', { slug });
+      return;
+    }
+
+    const updated = [
+      { ...video, watched_at_unix: Math.floor(Date.now() / 1000) },
+      ...history.filter(entry => entry.slug !== slug)
+    ].slice(0, this.maxEntries);
+
+    await this._save(userKey, updated);
+  }
+
+  /**
+   * Fetch the catalog fields of a video
+   * @private
+   * @param {string} slug - Video slug
+   * @returns {Promise<Object|null>} Trimmed video or null if not found
+   */
+  async _fetchVideo(slug) {
+    const data = await this.apiClient.getVideoData(slug);
+    const video = data && data.hentai_video;
+
+    if (!video || !video.slug) return null;
+
+    return trimVideo({ ...video, tags: getVideoTags(video) });
+  }
+}
+
+module.exports = HistoryService;
@@ -0,0 +1,107 @@
+/**
+ * HLS Proxy Service
+ * Relays Hanime HLS playlists (and keys, optionally segments) with the CDN header profile, for players
+ * that can't send the Origin and Referer the CDN expects
+ * Proxied URLs are signed and expire, so the proxy only fetches URLs the addon handed out
+ */
+
+const path = require('path');
+const axios = require('axios');
+const { buildFullUrl } = require('../config');
+const { getCdnHeaders } = require('../utils/header_utils');
+const { isEnabledOption } = require('../utils/config_utils');
+const { sign, verifySignature } = require('../utils/signing_utils');
+const { rewritePlaylist } = require('../transformers/hls_transformer');
+
+class HlsProxyService {
+  constructor(config) {
+    this.enabled = config.streamProxy.enabled;
+    this.secret = config.streamProxy.secret;
+    this.urlTtl = config.streamProxy.urlTtl;
+    this.proxySegments = config.streamProxy.proxySegments;
+  }
+
+  // ============================================================================
+  // Public Methods
+  // ============================================================================
+
+  /**
+   * Check if a user has the stream proxy turned on
+   * @param {Object} userConfig - Addon configuration
+   * @returns {boolean} True if enabled on this server and in the user's settings
+   */
+  isEnabledFor(userConfig) {
+    return this.enabled && isEnabledOption(userConfig && userConfig.streamProxy);
+  }
+
+  /**
+   * Build a signed proxy URL for an upstream URL
+   * The upstream file name is kept in the path, some players pick the format from the extension
+   * @param {string} url - Upstream URL
+   * @returns {string} Proxy URL
+   */
+  buildProxyUrl(url) {
+    const expires = Math.floor(Date.now() / 1000) + this.urlTtl;
+    const fileName = path.posix.basename(new URL(url).pathname) || 'playlist.m3u8';
+    const query = `url=${encodeURIComponent(url)}&exp=${expires}&sig=${sign(url, expires, this.secret)}`;
+
+    return buildFullUrl(`/proxy/hls/${encodeURIComponent(fileName)}?${query}`);
+  }
+
+  /**
+   * Check the signature of a proxy request
+   * @param {string} url - Upstream URL
+   * @param {string} expires - Expiry from the proxy URL
+   * @param {string} signature - Signature from the proxy URL
+   * @returns {boolean} True if the URL was signed by this server and has not expired
+   */
+  verify(url, expires, signature) {
+    return verifySignature(url, expires, signature, this.secret);
+  }
+
+  /**
+   * Fetch an upstream resource with the CDN header profile
+   * @param {string} url - Upstream URL
+   * @param {string} range - Optional Range header from the player
+   * @returns {Promise<Object>} Axios response with a stream body
+   */
+  fetch(url, range = null) {
+    return axios.get(url, {
+      headers: range ? { ...getCdnHeaders('media'), Range: range } : getCdnHeaders('media'),
+      responseType: 'stream',
+      timeout: 15000 // 15 second timeout
+    });
+  }
+
+  /**
+   * Check if an upstream response is a playlist
+   * @param {Object} response - Axios response
+   * @param {string} url - Upstream URL
+   * @returns {boolean} True for m3u8 playlists
+   */
+  isPlaylist(response, url) {
+    const contentType = String(response.headers['content-type'] || '').toLowerCase();
+    return contentType.includes('mpegurl') || /\.m3u8$/i.test(new URL(url).pathname);
+  }
+
+  /**
+   * Read a playlist response and rewrite its URIs
+   * Nested playlists and keys are proxied; segments are made absolute, or proxied when proxySegments is set
+   * @param {Object} response - Axios response with a stream body
+   * @param {string} url - Upstream URL
+   * @returns {Promise<string>} Rewritten playlist
+   */
+  async readPlaylist(response, url) {
+    const chunks = [];
+
+    for await (const chunk of response.data) {
+      chunks.push(Buffer.from(chunk));
+    }
+
+    return rewritePlaylist(Buffer.concat(chunks).toString('utf8'), url, (absoluteUrl, kind) =>
+      (kind === 'segment' && !this.proxySegments ? absoluteUrl : this.buildProxyUrl(absoluteUrl))
+    );
+  }
+}
+
+module.exports = HlsProxyService;
@@ -5,6 +5,7 @@
 
 const axios = require('axios');
 const mime = require('mime-types');
+const { getCdnHeaders } = require('../../utils/header_utils');
 
 /**
  * Sleep utility for retry delays
@@ -25,20 +26,7 @@ class ImageFetchService {
    * Fetch image with retry logic
    */
   async fetch(imageUrl, imagePath, maxRetries = 2) {
-    const headers = {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/95.0.4638.69 Safari/537.36',
-      'Accept': 'image/avif,image/webp,image/png,image/svg+xml,image/*;q=0.8,*/*;q=0.5',
-      'Accept-Language': 'en-US,en;q=0.5',
-      'Origin': 'https://hanime.tv',
-      'Referer': 'https://hanime.tv/',
-      'Sec-GPC': '1',
-      'Sec-Fetch-Dest': 'image',
-      'Sec-Fetch-Mode': 'no-cors',
-      'Sec-Fetch-Site': 'cross-site',
-      'Priority': 'u=4, i',
-      'Pragma': 'no-cache',
-      'Cache-Control': 'no-cache'
-    };
+    const headers = getCdnHeaders('image');
     
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
       try {
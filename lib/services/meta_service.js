@@ -4,15 +4,30 @@
  */
 
 const { toStremioMeta, toStremioSeriesMeta } = require('../transformers/meta_transformer');
-const { getSeriesEpisodes, parseEpisodeInfo } = require('../utils/series_utils');
+const {
+  getSeriesEpisodes,
+  parseEpisodeInfo,
+  getFranchiseInfo,
+  sortFranchiseEpisodes
+} = require('../utils/series_utils');
+const { matchesCensorship, mergeVariants } = require('../utils/variant_utils');
+const { findSimilarVideos, getVideoTags } = require('../utils/similarity_utils');
+const { hasAnyTag } = require('../utils/tag_utils');
+const { trimVideo } = require('../utils/video_utils');
+const { CensorshipModes } = require('../constants');
 const logger = require('../logger');
 const { cacheWrapMeta } = require('../cache');
 const { stripAddonPrefix } = require('../utils/formatters');
 
+// Similar titles linked from a video's meta, the rest are in the similar titles catalog
+const SIMILAR_LINKS_LIMIT = 5;
+
 class MetaService {
-  constructor(apiClient, config) {
+  constructor(apiClient, config, seriesIndex = null, searchIndex = null) {
     this.apiClient = apiClient;
     this.config = config;
+    this.seriesIndex = seriesIndex;
+    this.searchIndex = searchIndex;
   }
 
   // ============================================================================
@@ -37,6 +52,25 @@ class MetaService {
     });
   }
 
+  /**
+   * Get titles similar to a video meta, filtered for one user
+   * Meta is cached for all users, so similar titles are picked per request from the current search index
+   * @param {Object} meta - Video meta from getMetaData
+   * @param {Object} filter - { blacklist, censorship }
+   * @returns {Array|null} Similar videos, most similar first, or null while the search index has no titles
+   */
+  getSimilarVideos(meta, { blacklist = [], censorship = CensorshipModes.ALL } = {}) {
+    if (!meta || !meta._similarTo || !this.searchIndex) return [];
+
+    const candidates = this.searchIndex.getVideos();
+    if (candidates.length === 0) return null;
+
+    const similarVideos = findSimilarVideos(meta._similarTo, candidates)
+      .filter(video => !hasAnyTag(video, blacklist) && matchesCensorship(video, censorship));
+
+    return mergeVariants(similarVideos).slice(0, SIMILAR_LINKS_LIMIT);
+  }
+
   // ============================================================================
   // Private Methods
   // ============================================================================
@@ -57,6 +91,11 @@ class MetaService {
 
     const video = data.hentai_video;
 
+    // Video payloads carry alternate titles that search hits lack
+    if (this.searchIndex) {
+      this.searchIndex.add([video]);
+    }
+
     // Extract image URLs from video (will be stored in meta._cdnUrls)
     const imageUrls = this._extractImageUrls(video);
 
@@ -67,47 +106,32 @@ class MetaService {
       return null;
     }
 
-    return meta;
+    // Keep what similar titles are matched on, the links are built per request (custom property)
+    return { ...meta, _similarTo: trimVideo({ ...video, tags: getVideoTags(video) }) };
   }
 
   /**
-   * Get series metadata by searching and grouping episodes
+   * Get series metadata
+   * Episodes come from the franchise of a seed episode (authoritative, includes OVAs and specials).
+   * Seed episodes come from the series index, falling back to searching and grouping by title.
+   * Title grouping is used as-is when the video API has no franchise data.
    * @private
    * @param {string} seriesId - Series ID (e.g., "series:mujin-eki")
    * @returns {Promise<Object|null>} Series meta or null
    */
   async _getSeriesMeta(seriesId) {
     try {
-      const baseSlug = seriesId.replace(/^series:/, '');
-      const searchTerm = baseSlug.replace(/-/g, ' '); // e.g., "mujin-eki" -> "mujin eki"
-
-      const allVideos = await this.apiClient.search({
-        query: searchTerm,
-        tags: [],
-        orderBy: 'created_at_unix',
-        ordering: 'desc',
-        page: 0
-      });
+      const candidates = await this._findSeriesCandidates(seriesId);
 
-      if (!allVideos || allVideos.length === 0) {
-        logger.warn('Series meta: no videos found', { seriesId, searchTerm });
+      if (!candidates) {
         return null;
       }
 
-      const episodes = getSeriesEpisodes(allVideos, baseSlug);
-
-      if (!episodes || episodes.length === 0) {
-        logger.warn('Series meta: no episodes found', {
-          seriesId,
-          baseSlug,
-          searchTerm,
-          searchResultsCount: allVideos.length
-        });
-        return null;
-      }
-
-      const episodeInfo = parseEpisodeInfo(episodes[0].name);
-      const seriesName = episodeInfo ? episodeInfo.baseName : episodes[0].name;
+      const franchise = await this._getFranchise(candidates.episodes[0].slug);
+      const seriesName = franchise ? franchise.name : candidates.name;
+      const episodes = franchise
+        ? this._mergeFranchiseEpisodes(franchise.videos, candidates.episodes)
+        : mergeVariants(candidates.episodes);
 
       // Extract image URLs from first episode (will be stored in meta._cdnUrls)
       const imageUrls = this._extractImageUrls(episodes[0]);
@@ -122,7 +146,8 @@ class MetaService {
       logger.info('Series meta created', {
         seriesId,
         seriesName,
-        episodeCount: episodes.length
+        episodeCount: episodes.length,
+        grouping: franchise ? 'franchise' : 'title'
       });
 
       return meta;
@@ -135,6 +160,94 @@ class MetaService {
     }
   }
 
+  /**
+   * Find candidate episodes for a series
+   * Uses the series index when available, otherwise searches by the slug and groups by title
+   * @private
+   * @param {string} seriesId - Series ID (e.g., "series:mujin-eki")
+   * @returns {Promise<Object|null>} { name, episodes } or null if nothing was found
+   */
+  async _findSeriesCandidates(seriesId) {
+    const indexedSeries = this.seriesIndex ? await this.seriesIndex.getSeries(seriesId) : null;
+
+    if (indexedSeries) {
+      return { name: indexedSeries.baseName, episodes: indexedSeries.episodes };
+    }
+
+    const baseSlug = seriesId.replace(/^series:/, '');
+    const searchTerm = baseSlug.replace(/-/g, ' '); // e.g., "mujin-eki" -> "mujin eki"
+
+    const allVideos = await this.apiClient.search({
+      query: searchTerm,
+      tags: [],
+      orderBy: 'created_at_unix',
+      ordering: 'desc',
+      page: 0
+    });
+
+    if (!allVideos || allVideos.length === 0) {
+      logger.warn('Series meta: no videos found', { seriesId, searchTerm });
+      return null;
+    }
+
+    const episodes = getSeriesEpisodes(allVideos, baseSlug);
+
+    if (episodes && episodes.length > 0) {
+      const episodeInfo = parseEpisodeInfo(episodes[0].name);
+      return { name: episodeInfo ? episodeInfo.baseName : episodes[0].name, episodes };
+    }
+
+    // Franchise-based IDs may not match a title pattern (e.g., OVAs), seed the franchise lookup by slug
+    const seed = allVideos.find(video => video.slug && video.slug.startsWith(baseSlug));
+
+    if (seed) {
+      return { name: seed.name, episodes: [seed] };
+    }
+
+    logger.warn('Series meta: no episodes found', {
+      seriesId,
+      baseSlug,
+      searchTerm,
+      searchResultsCount: allVideos.length
+    });
+    return null;
+  }
+
+  /**
+   * Get franchise data for a video
+   * @private
+   * @param {string} slug - Video slug
+   * @returns {Promise<Object|null>} { slug, name, videos } or null if unavailable or not a series
+   */
+  async _getFranchise(slug) {
+    const data = await this.apiClient.getVideoData(slug);
+    const franchise = getFranchiseInfo(data);
+
+    // A single-video franchise is a standalone title, keep the title grouping
+    if (!franchise || franchise.videos.length < 2) {
+      return null;
+    }
+
+    return franchise;
+  }
+
+  /**
+   * Merge franchise videos with known episode data and sort them into episode order
+   * Franchise entries lack tags and descriptions, which candidate episodes from search carry
+   * Censored and uncensored uploads of an episode are merged, their streams list both variants
+   * @private
+   * @param {Array} franchiseVideos - Videos from the franchise payload
+   * @param {Array} knownEpisodes - Candidate episodes with full search data
+   * @returns {Array} Episodes
+   */
+  _mergeFranchiseEpisodes(franchiseVideos, knownEpisodes) {
+    const knownBySlug = new Map(knownEpisodes.map(episode => [episode.slug, episode]));
+
+    return sortFranchiseEpisodes(mergeVariants(
+      franchiseVideos.map(video => ({ ...video, ...(knownBySlug.get(video.slug) || {}) }))
+    ));
+  }
+
   /**
    * Extract image URLs from a video object
    * @private
@@ -0,0 +1,388 @@
+/**
+ * Search Index
+ * Local inverted index over every title the addon has seen in search and video API responses
+ * Answers searches with typo-tolerant matching while the search API is unavailable (e.g., repeated 403s)
+ * Names, alternate titles, tags and brand are indexed. The index is saved to the cache backend
+ * so it survives restarts and is shared between instances.
+ */
+
+const logger = require('../logger');
+const { getIndex, setIndex } = require('../cache');
+const { hasAnyTag } = require('../utils/tag_utils');
+const { isReleasedWithin } = require('../utils/date_utils');
+const { matchesCensorship, mergeVariants, getVariantKey } = require('../utils/variant_utils');
+const { trimVideo } = require('../utils/video_utils');
+const { getVideoTags } = require('../utils/similarity_utils');
+const { tokenize, getTypoTolerance, editDistance } = require('../utils/text_utils');
+const { scheduleJob } = require('../utils/schedule_utils');
+
+const INDEX_ID = 'search';
+
+// Relevance of a word by the field it was found in
+const FIELD_WEIGHTS = {
+  name: 3,
+  titles: 2,
+  brand: 1,
+  tags: 1
+};
+
+// Relevance of a match by how closely the query word matched the indexed word
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.75;
+const TYPO_MATCH = [1, 0.6, 0.4]; // By edit distance
+
+// Search API order_by fields mapped to indexed video fields
+const SORT_FIELDS = {
+  created_at_unix: 'created_at_unix',
+  released_at_unix: 'released_at_unix',
+  views: 'views',
+  likes: 'likes',
+  title_sortable: 'name'
+};
+
+class SearchIndex {
+  constructor(config) {
+    this.options = config.searchIndex;
+    this.videos = new Map(); // Video ID -> indexed video, least recently seen first
+    this.words = new Map(); // Word -> Map of video ID -> field weight
+    this.loadPromise = null;
+    this.dirty = false;
+    this.cancelSchedule = null;
+  }
+
+  // ============================================================================
+  // Public Methods
+  // ============================================================================
+
+  /**
+   * Load the stored index and schedule periodic saves
+   */
+  start() {
+    if (!this.options.enabled || this.cancelSchedule) return;
+
+    this._load();
+
+    this.cancelSchedule = scheduleJob(() => this._save(), this.options.saveInterval, 'Search index save failed');
+  }
+
+  /**
+   * Stop periodic saves
+   */
+  stop() {
+    if (this.cancelSchedule) {
+      this.cancelSchedule();
+      this.cancelSchedule = null;
+    }
+  }
+
+  /**
+   * Index videos from a search or video API response
+   * Accepts search hits and video API payloads (hentai_video)
+   * @param {Array} videos - Hanime video objects
+   */
+  add(videos) {
+    if (!this.options.enabled || !Array.isArray(videos)) return;
+
+    videos.forEach((video) => {
+      if (!video || video.id === undefined || !video.slug) return;
+
+      const indexed = this._toIndexedVideo(video);
+      const existing = this.videos.get(video.id);
+
+      // Known videos only get their counts updated, unless the payload brings alternate titles
+      if (existing && indexed.titles.length <= existing.titles.length) {
+        // Move to the most recently seen end without re-tokenizing
+        this.videos.delete(video.id);
+        this.videos.set(video.id, {
+          ...existing,
+          views: video.views ?? existing.views,
+          likes: video.likes ?? existing.likes
+        });
+        return;
+      }
+
+      this._insert(indexed);
+      this.dirty = true;
+    });
+
+    this._evict();
+  }
+
+  /**
+   * Get every indexed video (e.g., as the corpus for similar titles)
+   * @returns {Array} Indexed videos
+   */
+  getVideos() {
+    return [...this.videos.values()];
+  }
+
+  /**
+   * Search the index with the same params the search API takes
+   * Every query word must match the name, an alternate title, a tag or the brand, allowing typos.
+   * Results are ranked by relevance (most viewed first on ties), or by the params ordering without query words.
+   * @param {Object} params - { query, tags, tagsMode, brands, blacklist, censorship, releaseRange, watchedKeys, orderBy, ordering }
+   * @param {number} skip - Number of results to skip
+   * @param {number} limit - Window size
+   * @returns {Array} Videos in the window
+   */
+  search(params, skip, limit) {
+    const queryWords = tokenize(params.query);
+    const scores = queryWords.length > 0 ? this._score(queryWords) : null;
+    const candidates = scores
+      ? [...scores.keys()].map(id => this.videos.get(id))
+      : [...this.videos.values()];
+
+    const matches = candidates.filter(video => this._matchesFilters(video, params));
+
+    if (scores) {
+      matches.sort((a, b) => scores.get(b.id) - scores.get(a.id) || (b.views || 0) - (a.views || 0));
+    } else {
+      this._sortByOrdering(matches, params);
+    }
+
+    return mergeVariants(matches).slice(skip, skip + limit);
+  }
+
+  // ============================================================================
+  // Private Methods
+  // ============================================================================
+
+  /**
+   * Load the index from the cache backend once
+   * Videos seen since startup are newer than the stored ones and are kept
+   * @private
+   */
+  _load() {
+    if (!this.loadPromise) {
+      this.loadPromise = getIndex(INDEX_ID)
+        .then((stored) => {
+          if (!stored) return;
+
+          const seen = [...this.videos.values()];
+          this.videos.clear();
+          this.words.clear();
+
+          stored.videos.forEach(video => this._insert(video));
+          seen.forEach(video => this._insert(video));
+          this._evict();
+
+          logger.debug('Search index loaded from cache', { videos: this.videos.size });
+        })
+        .catch((error) => {
+          logger.warn('Failed to load search index from cache', { error: error.message });
+        });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Save the index to the cache backend if it changed
+   * @private
+   */
+  async _save() {
+    if (!this.dirty) return;
+    this.dirty = false;
+
+    await setIndex(INDEX_ID, { updatedAt: Date.now(), videos: [...this.videos.values()] });
+    logger.debug('Search index saved', { videos: this.videos.size });
+  }
+
+  /**
+   * Convert a search hit or video API payload to the stored shape
+   * @private
+   * @param {Object} video - Hanime video object
+   * @returns {Object} Trimmed video with alternate titles and counts
+   */
+  _toIndexedVideo(video) {
+    // Video API payloads carry tags as { text } objects and titles as { title } objects
+    const tags = getVideoTags(video);
+    const titles = (video.titles || [])
+      .map(title => (typeof title === 'string' ? title : title && title.title))
+      .filter(title => title && title !== video.name);
+
+    return {
+      ...trimVideo({ ...video, tags }),
+      titles: [...new Set(titles)],
+      views: video.views || 0,
+      likes: video.likes || 0
+    };
+  }
+
+  /**
+   * Add an indexed video and its words
+   * @private
+   * @param {Object} video - Indexed video
+   */
+  _insert(video) {
+    if (this.videos.has(video.id)) {
+      this._remove(video.id);
+    }
+
+    this.videos.set(video.id, video);
+
+    this._getFieldWords(video).forEach(({ word, weight }) => {
+      if (!this.words.has(word)) {
+        this.words.set(word, new Map());
+      }
+
+      const ids = this.words.get(word);
+      ids.set(video.id, Math.max(ids.get(video.id) || 0, weight));
+    });
+  }
+
+  /**
+   * Remove a video and its words
+   * @private
+   * @param {number} id - Video ID
+   */
+  _remove(id) {
+    const video = this.videos.get(id);
+    if (!video) return;
+
+    this.videos.delete(id);
+
+    this._getFieldWords(video).forEach(({ word }) => {
+      const ids = this.words.get(word);
+      if (!ids) return;
+
+      ids.delete(id);
+      if (ids.size === 0) this.words.delete(word);
+    });
+  }
+
+  /**
+   * Drop the least recently seen videos beyond the size limit
+   * @private
+   */
+  _evict() {
+    for (const id of this.videos.keys()) {
+      if (this.videos.size <= this.options.maxVideos) break;
+      this._remove(id);
+    }
+  }
+
+  /**
+   * Get the indexed words of a video with their field weights
+   * @private
+   * @param {Object} video - Indexed video
+   * @returns {Array<Object>} { word, weight } entries
+   */
+  _getFieldWords(video) {
+    return [
+      ...tokenize(video.name).map(word => ({ word, weight: FIELD_WEIGHTS.name })),
+      ...(video.titles || []).flatMap(title => tokenize(title)).map(word => ({ word, weight: FIELD_WEIGHTS.titles })),
+      ...tokenize(video.brand).map(word => ({ word, weight: FIELD_WEIGHTS.brand })),
+      ...(video.tags || []).flatMap(tag => tokenize(tag)).map(word => ({ word, weight: FIELD_WEIGHTS.tags }))
+    ];
+  }
+
+  /**
+   * Score videos matching every query word
+   * @private
+   * @param {Array<string>} queryWords - Tokenized query
+   * @returns {Map} Video ID -> relevance score
+   */
+  _score(queryWords) {
+    let scores = null;
+
+    for (const queryWord of queryWords) {
+      const wordScores = this._matchWord(queryWord);
+      const next = new Map();
+
+      wordScores.forEach((score, id) => {
+        if (scores === null || scores.has(id)) {
+          next.set(id, (scores ? scores.get(id) : 0) + score);
+        }
+      });
+
+      scores = next;
+      if (scores.size === 0) break;
+    }
+
+    return scores;
+  }
+
+  /**
+   * Score videos for one query word
+   * Indexed words match exactly, by prefix (3+ letters) or within the typo tolerance of the query word
+   * @private
+   * @param {string} queryWord - Query word
+   * @returns {Map} Video ID -> best relevance for the word
+   */
+  _matchWord(queryWord) {
+    const tolerance = getTypoTolerance(queryWord);
+    const scores = new Map();
+
+    this.words.forEach((ids, word) => {
+      let quality = 0;
+
+      if (word === queryWord) {
+        quality = EXACT_MATCH;
+      } else if (queryWord.length >= 3 && word.startsWith(queryWord)) {
+        quality = PREFIX_MATCH;
+      } else if (tolerance > 0) {
+        const distance = editDistance(queryWord, word, tolerance);
+        if (distance <= tolerance) quality = TYPO_MATCH[distance];
+      }
+
+      if (quality === 0) return;
+
+      ids.forEach((weight, id) => {
+        scores.set(id, Math.max(scores.get(id) || 0, quality * weight));
+      });
+    });
+
+    return scores;
+  }
+
+  /**
+   * Check a video against the search API filters and the user's watched titles
+   * @private
+   * @param {Object} video - Indexed video
+   * @param {Object} params - Search params
+   * @returns {boolean} True if the video matches
+   */
+  _matchesFilters(video, params) {
+    const tags = params.tags || [];
+    const brands = (params.brands || []).map(brand => brand.toLowerCase());
+
+    if (tags.length > 0) {
+      const videoTags = (video.tags || []).map(tag => tag.toLowerCase());
+      const matchesTags = params.tagsMode === 'OR'
+        ? tags.some(tag => videoTags.includes(tag))
+        : tags.every(tag => videoTags.includes(tag));
+      if (!matchesTags) return false;
+    }
+
+    if (brands.length > 0 && !brands.includes((video.brand || '').toLowerCase())) return false;
+    if (hasAnyTag(video, params.blacklist || [])) return false;
+    if (params.censorship && !matchesCensorship(video, params.censorship)) return false;
+    if (params.releaseRange && !isReleasedWithin(video, params.releaseRange)) return false;
+    if (params.watchedKeys && params.watchedKeys.has(getVariantKey(video))) return false;
+
+    return true;
+  }
+
+  /**
+   * Sort videos by the search API ordering (newest uploads first by default)
+   * @private
+   * @param {Array} videos - Videos to sort in place
+   * @param {Object} params - Search params with orderBy and ordering
+   */
+  _sortByOrdering(videos, params) {
+    const field = SORT_FIELDS[params.orderBy] || SORT_FIELDS.created_at_unix;
+    const direction = params.ordering === 'asc' ? 1 : -1;
+
+    videos.sort((a, b) => {
+      const valueA = a[field] ?? '';
+      const valueB = b[field] ?? '';
+
+      if (typeof valueA === 'string' || typeof valueB === 'string') {
+        return direction * String(valueA).localeCompare(String(valueB));
+      }
+      return direction * (valueA - valueB);
+    });
+  }
+}
+
+module.exports = SearchIndex;
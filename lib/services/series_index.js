@@ -0,0 +1,351 @@
+/**
+ * Series Index
+ * Crawls the full Hanime catalog in the background and groups episodes into series
+ * Grouping uses franchise data from the video API, title patterns are only the fallback
+ * The grouped index is persisted in the cache backend so it survives restarts and is shared between instances
+ */
+
+const logger = require('../logger');
+const { CensorshipModes } = require('../constants');
+const { getIndex, setIndex } = require('../cache');
+const {
+  detectSeries,
+  getFranchiseInfo,
+  groupSeriesByFranchise,
+  toSeriesCatalogItem
+} = require('../utils/series_utils');
+const { getReleaseTime, isReleasedWithin } = require('../utils/date_utils');
+const { hasAnyTag } = require('../utils/tag_utils');
+const { matchesCensorship, mergeVariants } = require('../utils/variant_utils');
+const { trimVideo } = require('../utils/video_utils');
+const { scheduleJob } = require('../utils/schedule_utils');
+
+const INDEX_ID = 'series';
+const FRANCHISES_INDEX_ID = 'franchises';
+
+// Episode values for the search API's sort fields; views and likes add up, times take the newest
+// episode (or the oldest one in ascending order)
+const EPISODE_SORT_VALUES = {
+  created_at_unix: episode => episode.created_at_unix || 0,
+  released_at_unix: episode => getReleaseTime(episode) || 0,
+  views: episode => episode.views || 0,
+  likes: episode => episode.likes || 0
+};
+const SUMMED_SORT_FIELDS = new Set(['views', 'likes']);
+
+/**
+ * Sleep utility for crawl delays
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Sort series by a search API sort field (stable, unknown fields keep the index order)
+ * @param {Array} seriesList - Series { baseName, episodes }
+ * @param {string|null} orderBy - Sort field (e.g., "views" or "title_sortable")
+ * @param {string} ordering - "asc" or "desc"
+ * @returns {Array} Sorted series
+ */
+function sortSeries(seriesList, orderBy, ordering) {
+  const direction = ordering === 'asc' ? 1 : -1;
+
+  if (orderBy === 'title_sortable') {
+    return [...seriesList].sort((a, b) => direction * a.baseName.localeCompare(b.baseName));
+  }
+
+  const getValue = EPISODE_SORT_VALUES[orderBy];
+  if (!getValue) return seriesList;
+
+  const reduce = SUMMED_SORT_FIELDS.has(orderBy)
+    ? values => values.reduce((sum, value) => sum + value, 0)
+    : values => (direction > 0 ? Math.min(...values) : Math.max(...values));
+  const valueOf = new Map(seriesList.map(series => [series, reduce(series.episodes.map(getValue))]));
+
+  return [...seriesList].sort((a, b) => direction * (valueOf.get(a) - valueOf.get(b)));
+}
+
+class SeriesIndex {
+  constructor(apiClient, config, searchIndex = null) {
+    this.apiClient = apiClient;
+    this.searchIndex = searchIndex;
+    this.options = config.seriesIndex;
+    this.index = null; // { updatedAt, series: [{ id, baseName, episodes }] }
+    this.seriesById = new Map();
+    this.loadPromise = null;
+    this.crawlPromise = null;
+    this.cancelSchedule = null;
+  }
+
+  // ============================================================================
+  // Public Methods
+  // ============================================================================
+
+  /**
+   * Load the stored index and schedule background refreshes
+   * Crawls immediately when no index is stored or the stored one is stale
+   */
+  start() {
+    if (!this.options.enabled || this.cancelSchedule) return;
+
+    this._load()
+      .then(() => {
+        if (!this.index || Date.now() - this.index.updatedAt > this.options.refreshInterval * 1000) {
+          return this.refresh();
+        }
+      })
+      .catch((error) => {
+        logger.warn('Series index startup failed', { error: error.message });
+      });
+
+    this.cancelSchedule = scheduleJob(() => this.refresh(), this.options.refreshInterval, 'Series index refresh failed');
+  }
+
+  /**
+   * Stop background refreshes
+   */
+  stop() {
+    if (this.cancelSchedule) {
+      this.cancelSchedule();
+      this.cancelSchedule = null;
+    }
+  }
+
+  /**
+   * Check if an index is available
+   * @returns {Promise<boolean>} True if series can be served from the index
+   */
+  async isReady() {
+    if (!this.options.enabled) return false;
+    await this._load();
+    return this.index !== null;
+  }
+
+  /**
+   * Get a series by ID
+   * @param {string} seriesId - Series ID (e.g., "series:mujin-eki")
+   * @returns {Promise<Object|null>} Series { id, baseName, episodes } or null if not indexed
+   */
+  async getSeries(seriesId) {
+    if (!(await this.isReady())) return null;
+    return this.seriesById.get(seriesId) || null;
+  }
+
+  /**
+   * Get series catalog items matching a filter, newest series first unless a sort field is given
+   * A series matches a studio or release range when any of its episodes does
+   * @param {Object} filter - { query, tags, tagsMode, brands, releaseRange, orderBy, ordering, blacklist, censorship }
+   * @returns {Promise<Array>} Series catalog items
+   */
+  async getCatalogItems({
+    query = '',
+    tags = [],
+    tagsMode = 'AND',
+    brands = [],
+    releaseRange = null,
+    orderBy = null,
+    ordering = 'desc',
+    blacklist = [],
+    censorship = CensorshipModes.ALL
+  } = {}) {
+    if (!(await this.isReady())) return [];
+
+    const queryWords = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const brandNames = new Set(brands.map(brand => brand.toLowerCase()));
+
+    const matches = this.index.series
+      .map((series) => {
+        // Drop blacklisted and filtered variants, a series needs at least two remaining episodes
+        const episodes = mergeVariants(series.episodes.filter(episode =>
+          !hasAnyTag(episode, blacklist) && matchesCensorship(episode, censorship)
+        ));
+        return episodes.length >= 2 ? { ...series, episodes } : null;
+      })
+      .filter((series) => {
+        if (!series) return false;
+
+        const name = series.baseName.toLowerCase();
+        if (!queryWords.every(word => name.includes(word))) return false;
+
+        if (brandNames.size > 0 && !series.episodes.some(episode => brandNames.has(String(episode.brand || '').toLowerCase()))) {
+          return false;
+        }
+
+        if (releaseRange && !series.episodes.some(episode => isReleasedWithin(episode, releaseRange))) {
+          return false;
+        }
+
+        if (tags.length === 0) return true;
+
+        const seriesTags = new Set(series.episodes.flatMap(episode => (episode.tags || []).map(tag => tag.toLowerCase())));
+        return tagsMode === 'OR'
+          ? tags.some(tag => seriesTags.has(tag))
+          : tags.every(tag => seriesTags.has(tag));
+      });
+
+    return sortSeries(matches, orderBy, ordering).map(toSeriesCatalogItem);
+  }
+
+  /**
+   * Crawl all search pages and rebuild the index
+   * Concurrent calls share one crawl. A failed page aborts the crawl and keeps the previous index.
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    if (!this.crawlPromise) {
+      this.crawlPromise = this._crawl().finally(() => {
+        this.crawlPromise = null;
+      });
+    }
+    return this.crawlPromise;
+  }
+
+  // ============================================================================
+  // Private Methods
+  // ============================================================================
+
+  /**
+   * Load the index from the cache backend once
+   * @private
+   */
+  _load() {
+    if (!this.loadPromise) {
+      this.loadPromise = getIndex(INDEX_ID)
+        .then((stored) => {
+          if (stored && !this.index) {
+            this._setIndex(stored);
+            logger.debug('Series index loaded from cache', { seriesCount: stored.series.length });
+          }
+        })
+        .catch((error) => {
+          logger.warn('Failed to load series index from cache', { error: error.message });
+        });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Crawl every search page (oldest uploads last) and group episodes
+   * @private
+   */
+  async _crawl() {
+    const startedAt = Date.now();
+    const videos = [];
+    let nbPages = 1;
+
+    logger.info('Series index crawl started');
+
+    for (let page = 0; page < nbPages && page < this.options.maxPages; page++) {
+      const result = await this.apiClient.searchPage({
+        orderBy: 'created_at_unix',
+        ordering: 'desc',
+        page
+      });
+
+      if (!result) {
+        logger.warn('Series index crawl aborted, keeping previous index', { page });
+        return;
+      }
+
+      nbPages = result.nbPages;
+      // Views and likes are kept for sorting series
+      videos.push(...result.hits.map(video => ({ ...trimVideo(video), views: video.views || 0, likes: video.likes || 0 })));
+
+      if (this.searchIndex) {
+        this.searchIndex.add(result.hits);
+      }
+
+      if (page + 1 < nbPages) {
+        await sleep(this.options.crawlDelayMs);
+      }
+    }
+
+    const franchiseOf = await this._resolveFranchises(videos);
+
+    const index = {
+      updatedAt: Date.now(),
+      series: groupSeriesByFranchise(videos, franchiseOf)
+    };
+
+    this._setIndex(index);
+    await setIndex(INDEX_ID, index);
+
+    logger.info('Series index crawl finished', {
+      videos: videos.length,
+      series: index.series.length,
+      duration: `${Math.round((Date.now() - startedAt) / 1000)}s`
+    });
+  }
+
+  /**
+   * Resolve franchises for every video
+   * Videos whose titles look like episodes are looked up first; the franchise payload then assigns every
+   * sibling (including OVAs and specials) at once. The remaining videos follow, so series whose titles the
+   * episode pattern misses are grouped too. Results are persisted so later crawls continue where the lookup
+   * cap stopped and then only look up new videos. Videos whose payload has no franchise are stored as false
+   * and fall back to title grouping.
+   * @private
+   * @param {Array} videos - Trimmed videos
+   * @returns {Promise<Object>} Map of video slug to { slug, name } franchise or false
+   */
+  async _resolveFranchises(videos) {
+    const stored = await getIndex(FRANCHISES_INDEX_ID).catch(() => undefined);
+    const franchiseOf = { ...(stored || {}) };
+    const isKnown = (video) => Object.prototype.hasOwnProperty.call(franchiseOf, video.slug);
+
+    const unknown = videos.filter(video => !isKnown(video));
+    const episodes = detectSeries(unknown).flatMap(series => series.episodes);
+    const episodeSlugs = new Set(episodes.map(video => video.slug));
+    const candidates = [...episodes, ...unknown.filter(video => !episodeSlugs.has(video.slug))];
+    let lookups = 0;
+
+    for (const video of candidates) {
+      if (lookups >= this.options.maxFranchiseLookups) break;
+      if (isKnown(video)) continue; // Assigned by an earlier sibling lookup
+
+      if (lookups > 0) {
+        await sleep(this.options.crawlDelayMs);
+      }
+      lookups++;
+
+      const data = await this.apiClient.getVideoData(video.slug);
+      if (!data) continue; // Request failed, retry on the next crawl
+
+      const franchise = getFranchiseInfo(data);
+      if (!franchise) {
+        franchiseOf[video.slug] = false;
+        continue;
+      }
+
+      const entry = { slug: franchise.slug, name: franchise.name };
+      franchise.videos.forEach((sibling) => {
+        franchiseOf[sibling.slug] = entry;
+      });
+      franchiseOf[video.slug] = entry;
+    }
+
+    if (lookups > 0) {
+      await setIndex(FRANCHISES_INDEX_ID, franchiseOf);
+    }
+
+    logger.debug('Series index franchises resolved', {
+      lookups,
+      pending: candidates.filter(video => !isKnown(video)).length
+    });
+
+    return franchiseOf;
+  }
+
+  /**
+   * Replace the in-memory index and its lookup map
+   * @private
+   */
+  _setIndex(index) {
+    this.index = index;
+    this.seriesById = new Map(index.series.map(series => [series.id, series]));
+  }
+}
+
+module.exports = SeriesIndex;
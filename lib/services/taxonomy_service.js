@@ -0,0 +1,116 @@
+/**
+ * Taxonomy Service
+ * Keeps the live tag and brand lists from the browse API for manifest extras and the configure page
+ * The static lists in constants are served until the live lists load, and whenever the API is unavailable
+ */
+
+const logger = require('../logger');
+const constants = require('../constants');
+const { cacheWrapTaxonomy } = require('../cache');
+const { scheduleJob } = require('../utils/schedule_utils');
+
+const TAXONOMY_ID = 'browse';
+const STATIC_TAXONOMY = constants.staticTaxonomy;
+const LAZY_RETRY_DELAY = 5 * 60 * 1000; // 5 minutes between load attempts without scheduled refreshes
+
+class TaxonomyService {
+  constructor(apiClient, config) {
+    this.apiClient = apiClient;
+    this.refreshInterval = config.cache.ttl.taxonomy;
+    this.taxonomy = null; // { genres, brands } from the browse API
+    this.refreshPromise = null;
+    this.lastLoadAttempt = 0;
+    this.cancelSchedule = null;
+  }
+
+  // ============================================================================
+  // Public Methods
+  // ============================================================================
+
+  /**
+   * Fetch the live lists and schedule refreshes once the cached lists expire
+   */
+  start() {
+    if (this.cancelSchedule) return;
+
+    this.refresh().catch((error) => {
+      logger.warn('Taxonomy startup failed', { error: error.message });
+    });
+
+    this.cancelSchedule = scheduleJob(() => this.refresh(), this.refreshInterval, 'Taxonomy refresh failed');
+  }
+
+  /**
+   * Stop scheduled refreshes
+   */
+  stop() {
+    if (this.cancelSchedule) {
+      this.cancelSchedule();
+      this.cancelSchedule = null;
+    }
+  }
+
+  /**
+   * Get the current tag and brand lists
+   * Without scheduled refreshes (serverless functions), the first call loads the lists the server cached
+   * @returns {Promise<Object>} { genres, brands } (live lists, or the static lists as fallback)
+   */
+  async getTaxonomy() {
+    if (!this.taxonomy && !this.cancelSchedule && Date.now() - this.lastLoadAttempt > LAZY_RETRY_DELAY) {
+      this.lastLoadAttempt = Date.now();
+      await this.refresh().catch((error) => {
+        logger.warn('Taxonomy load failed', { error: error.message });
+      });
+    }
+
+    return this.taxonomy || STATIC_TAXONOMY;
+  }
+
+  /**
+   * Fetch the live lists (cached with a long TTL)
+   * Concurrent calls share one fetch. A failed fetch keeps the current lists.
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this._fetch().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  // ============================================================================
+  // Private Methods
+  // ============================================================================
+
+  /**
+   * Fetch the live lists through the cache
+   * @private
+   */
+  async _fetch() {
+    const result = await cacheWrapTaxonomy(TAXONOMY_ID, () => this.apiClient.getTaxonomy());
+
+    // An empty list means the payload changed shape, keep the fallback for that list
+    if (!result || (result.tags.length === 0 && result.brands.length === 0)) {
+      logger.warn('Taxonomy unavailable, keeping current lists', { live: this.taxonomy !== null });
+      return;
+    }
+
+    // Brands come most prolific first, only the top ones fit the studio picker
+    this.taxonomy = {
+      genres: result.tags.length > 0 ? result.tags : STATIC_TAXONOMY.genres,
+      brands: result.brands.length > 0
+        ? result.brands.slice(0, constants.maxBrandOptions).sort((a, b) => a.localeCompare(b))
+        : STATIC_TAXONOMY.brands
+    };
+
+    logger.info('Taxonomy loaded', {
+      genres: this.taxonomy.genres.length,
+      brands: this.taxonomy.brands.length,
+      brandsAvailable: result.brands.length
+    });
+  }
+}
+
+module.exports = TaxonomyService;
@@ -0,0 +1,284 @@
+/**
+ * Trending Service
+ * Periodically snapshots view and like counts from search results and ranks titles by their growth
+ * One snapshot is kept per day in the remote cache store (Redis or Postgres), rankings compare
+ * the latest counts with the oldest snapshot inside the window. Without a remote store, snapshots
+ * are kept in process memory and the trend history resets on restart.
+ */
+
+const logger = require('../logger');
+const { getSnapshot, setSnapshot, hasRemoteStore } = require('../cache');
+const { CensorshipModes } = require('../constants');
+const { hasAnyTag } = require('../utils/tag_utils');
+const { matchesCensorship, mergeVariants } = require('../utils/variant_utils');
+const { trimVideo } = require('../utils/video_utils');
+const { scheduleJob } = require('../utils/schedule_utils');
+
+const LATEST_SNAPSHOT_ID = 'trending:latest';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Most viewed covers established titles, newest uploads cover titles that are still climbing
+const SNAPSHOT_ORDERINGS = [
+  { orderBy: 'views', ordering: 'desc' },
+  { orderBy: 'created_at_unix', ordering: 'desc' }
+];
+
+/**
+ * Sleep utility for crawl delays
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Get the snapshot ID for the day of a timestamp
+ * @param {number} time - Timestamp in milliseconds
+ * @returns {string} Snapshot ID (e.g., "trending:2025-01-31")
+ */
+function getDaySnapshotId(time) {
+  return `trending:${new Date(time).toISOString().slice(0, 10)}`;
+}
+
+class TrendingService {
+  constructor(apiClient, config) {
+    this.apiClient = apiClient;
+    this.options = config.trending;
+    this.snapshotTtl = config.cache.ttl.snapshot * 1000;
+    this.localSnapshots = hasRemoteStore() ? null : new Map(); // Snapshot ID -> snapshot, only without a remote store
+    this.latest = null; // { takenAt, videos: [trimmed video with views and likes] }
+    this.rankings = new Map(); // Window days -> { takenAt of the latest snapshot, ranked videos }
+    this.loadPromise = null;
+    this.loadedAt = 0;
+    this.snapshotPromise = null;
+    this.cancelSchedule = null;
+  }
+
+  // ============================================================================
+  // Public Methods
+  // ============================================================================
+
+  /**
+   * Load the latest snapshot and schedule periodic snapshots
+   * Takes a snapshot immediately when none is stored or the stored one is stale
+   */
+  start() {
+    if (!this.options.enabled || this.cancelSchedule) return;
+
+    if (this.localSnapshots) {
+      logger.warn('Trending snapshots are kept in memory only (no Redis or Postgres cache configured), trend history resets on restart');
+    }
+
+    this._load()
+      .then(() => {
+        if (!this.latest || Date.now() - this.latest.takenAt > this.options.snapshotInterval * 1000) {
+          return this.refresh();
+        }
+      })
+      .catch((error) => {
+        logger.warn('Trending startup failed', { error: error.message });
+      });
+
+    this.cancelSchedule = scheduleJob(() => this.refresh(), this.options.snapshotInterval, 'Trending snapshot failed');
+  }
+
+  /**
+   * Stop periodic snapshots
+   */
+  stop() {
+    if (this.cancelSchedule) {
+      this.cancelSchedule();
+      this.cancelSchedule = null;
+    }
+  }
+
+  /**
+   * Get titles ranked by view growth over a window, fastest growing first
+   * Empty until a snapshot from inside the window exists to compare against
+   * @param {number} days - Window length in days (e.g., 7 or 30)
+   * @param {Object} filter - { blacklist, censorship }
+   * @returns {Promise<Array>} Videos
+   */
+  async getTrending(days, { blacklist = [], censorship = CensorshipModes.ALL } = {}) {
+    if (!this.options.enabled) return [];
+    await this._load();
+
+    const takenAt = this.latest ? this.latest.takenAt : null;
+    let ranking = this.rankings.get(days);
+
+    if (!ranking || ranking.takenAt !== takenAt) {
+      ranking = { takenAt, videos: await this._rank(days) };
+      this.rankings.set(days, ranking);
+    }
+
+    return mergeVariants(ranking.videos.filter(video =>
+      !hasAnyTag(video, blacklist) && matchesCensorship(video, censorship)
+    ));
+  }
+
+  /**
+   * Take a snapshot of the current view and like counts
+   * Concurrent calls share one snapshot. A failed page aborts it and keeps the previous snapshot.
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    if (!this.snapshotPromise) {
+      this.snapshotPromise = this._snapshot().finally(() => {
+        this.snapshotPromise = null;
+      });
+    }
+    return this.snapshotPromise;
+  }
+
+  // ============================================================================
+  // Private Methods
+  // ============================================================================
+
+  /**
+   * Load the latest snapshot from the cache backend, again once per snapshot interval
+   * Picks up snapshots taken by other instances sharing the backend
+   * @private
+   */
+  _load() {
+    if (!this.loadPromise || Date.now() - this.loadedAt > this.options.snapshotInterval * 1000) {
+      this.loadedAt = Date.now();
+      this.loadPromise = this._readSnapshot(LATEST_SNAPSHOT_ID)
+        .then((stored) => {
+          if (stored && (!this.latest || stored.takenAt > this.latest.takenAt)) {
+            this.latest = stored;
+            logger.debug('Trending snapshot loaded from cache', { videos: stored.videos.length });
+          }
+        })
+        .catch((error) => {
+          logger.warn('Failed to load trending snapshot from cache', { error: error.message });
+        });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Crawl the first pages of each snapshot ordering and store the counts
+   * Counts go into the day's snapshot (overwritten during the day), titles into the latest snapshot
+   * @private
+   */
+  async _snapshot() {
+    const takenAt = Date.now();
+    const videosById = new Map();
+
+    for (const [index, ordering] of SNAPSHOT_ORDERINGS.entries()) {
+      for (let page = 0; page < this.options.snapshotPages; page++) {
+        if (index > 0 || page > 0) {
+          await sleep(this.options.crawlDelayMs);
+        }
+
+        const result = await this.apiClient.searchPage({ ...ordering, page });
+
+        if (!result) {
+          logger.warn('Trending snapshot aborted, keeping previous snapshot', { ...ordering, page });
+          return;
+        }
+
+        result.hits.forEach((video) => {
+          videosById.set(video.id, { ...trimVideo(video), views: video.views || 0, likes: video.likes || 0 });
+        });
+
+        if (page >= result.nbPages - 1) break;
+      }
+    }
+
+    const videos = [...videosById.values()];
+    const counts = Object.fromEntries(videos.map(video => [video.id, [video.views, video.likes]]));
+
+    await this._writeSnapshot(getDaySnapshotId(takenAt), { takenAt, counts });
+    await this._writeSnapshot(LATEST_SNAPSHOT_ID, { takenAt, videos });
+
+    this.latest = { takenAt, videos };
+
+    logger.info('Trending snapshot taken', { videos: videos.length });
+  }
+
+  /**
+   * Rank the latest titles by view growth since the oldest snapshot inside a window
+   * Likes growth breaks ties. Titles missing from the base snapshot only count when they were
+   * uploaded after it, otherwise their growth is unknown.
+   * @private
+   * @param {number} days - Window length in days
+   * @returns {Promise<Array>} Ranked videos
+   */
+  async _rank(days) {
+    if (!this.latest) return [];
+
+    const base = await this._findBaseSnapshot(days);
+
+    if (!base) {
+      logger.debug('Trending: no snapshot inside the window yet', { days });
+      return [];
+    }
+
+    const baseTime = base.takenAt / 1000;
+
+    return this.latest.videos
+      .map((video) => {
+        const baseCounts = base.counts[video.id] || (video.created_at_unix >= baseTime ? [0, 0] : null);
+        if (!baseCounts) return null;
+
+        return {
+          video,
+          viewsGrowth: video.views - baseCounts[0],
+          likesGrowth: video.likes - baseCounts[1]
+        };
+      })
+      .filter(entry => entry && entry.viewsGrowth > 0)
+      .sort((a, b) => b.viewsGrowth - a.viewsGrowth || b.likesGrowth - a.likesGrowth)
+      .map(entry => entry.video);
+  }
+
+  /**
+   * Find the oldest daily snapshot inside a window, excluding the latest day
+   * @private
+   * @param {number} days - Window length in days
+   * @returns {Promise<Object|null>} Snapshot { takenAt, counts } or null if none is stored
+   */
+  async _findBaseSnapshot(days) {
+    for (let daysAgo = days; daysAgo >= 1; daysAgo--) {
+      const dayId = getDaySnapshotId(this.latest.takenAt - daysAgo * DAY_MS);
+      const snapshot = await this._readSnapshot(dayId).catch(() => undefined);
+      if (snapshot) return snapshot;
+    }
+
+    return null;
+  }
+
+  /**
+   * Read a snapshot from the remote store, or from process memory without one
+   * @private
+   * @param {string} id - Snapshot ID
+   * @returns {Promise<Object|undefined>} Snapshot or undefined if missing
+   */
+  async _readSnapshot(id) {
+    if (this.localSnapshots) return this.localSnapshots.get(id);
+    return getSnapshot(id);
+  }
+
+  /**
+   * Write a snapshot to the remote store, or to process memory without one
+   * In memory, snapshots older than the snapshot TTL are dropped
+   * @private
+   * @param {string} id - Snapshot ID
+   * @param {Object} snapshot - Snapshot with takenAt
+   * @returns {Promise<void>}
+   */
+  async _writeSnapshot(id, snapshot) {
+    if (!this.localSnapshots) return setSnapshot(id, snapshot);
+
+    this.localSnapshots.set(id, snapshot);
+    for (const [storedId, stored] of this.localSnapshots) {
+      if (snapshot.takenAt - stored.takenAt > this.snapshotTtl) {
+        this.localSnapshots.delete(storedId);
+      }
+    }
+  }
+}
+
+module.exports = TrendingService;
@@ -0,0 +1,59 @@
+/**
+ * Upcoming Service
+ * Finds scheduled releases (future release dates) for the upcoming catalog and the calendar feed
+ * Hanime lists them ahead of time, so they lead the search results ordered by release date
+ */
+
+const { CensorshipModes } = require('../constants');
+const { getReleaseTime } = require('../utils/date_utils');
+const { hasAnyTag } = require('../utils/tag_utils');
+const { matchesCensorship, mergeVariants } = require('../utils/variant_utils');
+const CatalogPager = require('./catalog_pager');
+
+const RELEASE_ORDER_PARAMS = {
+  query: '',
+  tags: [],
+  tagsMode: 'AND',
+  brands: [],
+  blacklist: [],
+  orderBy: 'released_at_unix',
+  ordering: 'desc'
+};
+
+class UpcomingService {
+  constructor(apiClient, config) {
+    this.pager = new CatalogPager(apiClient, config);
+    this.maxScanPages = config.pagination.maxScanPages;
+  }
+
+  // ============================================================================
+  // Public Methods
+  // ============================================================================
+
+  /**
+   * Get scheduled releases, soonest first
+   * Search pages are shared with the catalogs' page cache, so repeated calls don't hit the API
+   * @param {Object} filter - { blacklist, censorship }
+   * @returns {Promise<Array>} Videos with a release date in the future
+   */
+  async getUpcoming({ blacklist = [], censorship = CensorshipModes.ALL } = {}) {
+    const now = Date.now() / 1000;
+    const upcoming = [];
+
+    for (let page = 0; page < this.maxScanPages; page++) {
+      const { hits, nbPages } = await this.pager.getPage({ ...RELEASE_ORDER_PARAMS, page });
+      const scheduled = hits.filter(video => getReleaseTime(video) > now);
+
+      upcoming.push(...scheduled);
+
+      // Past releases follow the scheduled ones
+      if (scheduled.length < hits.length || page >= nbPages - 1) break;
+    }
+
+    return mergeVariants(upcoming
+      .filter(video => !hasAnyTag(video, blacklist) && matchesCensorship(video, censorship))
+      .sort((a, b) => getReleaseTime(a) - getReleaseTime(b)));
+  }
+}
+
+module.exports = UpcomingService;
@@ -4,6 +4,106 @@
  */
 
 const { buildFullUrl } = require('../config');
+const constants = require('../constants');
+const { titleize } = require('../transformers/formatters');
+const { CONFIG_FIELDS, isLinkOnlyCatalog } = require('../manifest');
+
+/**
+ * Placeholder and helper text for optional config fields
+ */
+const FIELD_HINTS = {
+  blacklist: {
+    placeholder: 'e.g. scat, ntr',
+    helper: 'Comma-separated tags to hide from every catalog and search'
+  },
+  tagsMode: {
+    helper: 'AND shows titles with every selected genre, OR shows titles with any of them'
+  },
+  maxResolution: {
+    helper: 'Streams above this resolution are hidden (the lowest one is kept if none is left)'
+  },
+  preferredResolution: {
+    helper: 'Streams in this resolution are listed first and picked by autoplay'
+  },
+  preferredServer: {
+    placeholder: 'Server name shown on streams',
+    helper: 'Streams from this server are listed first'
+  },
+  streamProxy: {
+    helper: 'Play HLS streams through this addon, for players that fail on Hanime\'s stream links'
+  },
+  hideWatched: {
+    helper: 'Titles you played from this addon are left out of every catalog except Recently Watched'
+  },
+  catalogs: {
+    helper: 'Keep at least one ticked. Your recently watched titles, liked videos, watch later list and playlists are listed after these'
+  }
+};
+
+// Config fields edited with custom controls instead of a plain input
+const CATALOGS_FIELD_KEY = 'catalogs';
+const GENRES_FIELD_KEY = 'genres';
+
+/**
+ * Render the favourite genres picker
+ * A checkbox grid; the script joins the picked genres with commas into the hidden field
+ * @param {Object} field - Config field
+ * @param {Array<string>} genres - Available genres
+ * @param {string} helperText - Helper text HTML
+ * @returns {string} HTML string
+ */
+function renderGenresField(field, genres, helperText) {
+  const checkboxes = genres.map(genre => `
+					<label class="flex items-center gap-2 text-sm text-white/90">
+						<input type="checkbox" data-genre="${escapeHtml(genre)}" class="w-4 h-4" />
+						${escapeHtml(titleize(genre))}
+					</label>`).join('');
+
+  return `
+			<div class="mb-6">
+				<label class="block text-sm font-medium text-white/90 mb-2">
+					${escapeHtml(field.title || field.key)}
+				</label>
+				<input type="hidden" id="${field.key}" name="${field.key}" value="" />
+				<div id="genreList" class="grid grid-cols-2 gap-x-4 gap-y-1 max-h-56 overflow-y-auto p-2 bg-white/10 border border-white/20 rounded-lg">${checkboxes}
+				</div>
+				${helperText}
+			</div>`;
+}
+
+/**
+ * Render the catalog selection editor
+ * Rows can be unticked, renamed and moved; the script serializes them into the hidden field
+ * as comma-separated "id" or "id=Name" entries (empty when nothing differs from the defaults)
+ * @param {Object} field - Config field
+ * @param {Array} catalogs - Manifest catalogs in default order
+ * @param {string} helperText - Helper text HTML
+ * @returns {string} HTML string
+ */
+function renderCatalogsField(field, catalogs, helperText) {
+  const rows = catalogs.map(catalog => `
+					<div class="flex items-center gap-2 mb-2" data-catalog-id="${escapeHtml(catalog.id)}" data-catalog-name="${escapeHtml(catalog.name)}">
+						<input type="checkbox" checked class="w-4 h-4" title="Show this catalog" />
+						<input 
+							type="text" 
+							placeholder="${escapeHtml(catalog.name)}" 
+							class="flex-1 px-3 py-1 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-white text-sm placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all"
+						/>
+						<button type="button" data-move="-1" class="p-2 bg-white/10 hover:bg-white/20 border border-white/20 rounded-lg text-white text-sm" title="Move up">&#9650;</button>
+						<button type="button" data-move="1" class="p-2 bg-white/10 hover:bg-white/20 border border-white/20 rounded-lg text-white text-sm" title="Move down">&#9660;</button>
+					</div>`).join('');
+
+  return `
+			<div class="mb-6">
+				<label class="block text-sm font-medium text-white/90 mb-2">
+					${escapeHtml(field.title || field.key)}
+				</label>
+				<input type="hidden" id="${field.key}" name="${field.key}" value="" />
+				<div id="catalogList">${rows}
+				</div>
+				${helperText}
+			</div>`;
+}
 
 /**
  * Generate custom landing page HTML
@@ -21,17 +121,64 @@ function generateLandingHTML(manifest) {
   
   // Generate catalog types list
   const catalogTypes = manifest.catalogs || [];
+
+  // Genre options from the manifest extras (live tags when available)
+  const genreExtra = catalogTypes.flatMap(catalog => catalog.extra || []).find(extra => extra.name === 'genre' && extra.options);
+  const genres = genreExtra ? genreExtra.options : constants.genres;
   
   // Generate form fields from config
-  const configFieldsArray = manifest.config || [];
+  const configFieldsArray = CONFIG_FIELDS;
   const configFields = configFieldsArray.length > 0 ? configFieldsArray.map(field => {
     const inputType = field.type === 'password' ? 'password' : 'text';
     const isEmail = field.key.toLowerCase() === 'email';
     const isPassword = field.key.toLowerCase() === 'password';
     const autocomplete = isEmail ? 'email' : isPassword ? 'current-password' : 'off';
-    const helperText = isEmail || isPassword 
-      ? `<p class="mt-1.5 text-xs text-white/60">Your ${isEmail ? 'hanime.tv' : 'hanime.tv'} account ${isEmail ? 'email' : 'password'}</p>`
+    const hint = FIELD_HINTS[field.key] || {};
+    const guestNote = isEmail && !field.required
+      ? '. Optional: without an account streams play in guest quality; sign in for higher qualities, personal catalogs and watch history'
       : '';
+    const helperText = isEmail || isPassword 
+      ? `<p class="mt-1.5 text-xs text-white/60">Your hanime.tv account ${isEmail ? 'email' : 'password'}${guestNote}</p>`
+      : hint.helper ? `<p class="mt-1.5 text-xs text-white/60">${escapeHtml(hint.helper)}</p>` : '';
+
+    if (field.key === CATALOGS_FIELD_KEY) {
+      // Link-only catalogs (e.g., More Like This) can't be browsed, so they aren't offered
+      return renderCatalogsField(field, catalogTypes.filter(catalog => !isLinkOnlyCatalog(catalog)), helperText);
+    }
+
+    if (field.key === GENRES_FIELD_KEY) {
+      return renderGenresField(field, genres, helperText);
+    }
+
+    if (field.type === 'checkbox') {
+      return `
+			<div class="mb-6">
+				<label for="${field.key}" class="flex items-center gap-2 text-sm font-medium text-white/90">
+					<input type="checkbox" id="${field.key}" name="${field.key}" value="checked" class="w-4 h-4"${field.default === 'checked' ? ' checked' : ''} />
+					${escapeHtml(field.title || field.key)}
+				</label>
+				${helperText}
+			</div>`;
+    }
+
+    if (field.type === 'select') {
+      const options = (field.options || []).map(option => `
+					<option value="${escapeHtml(option)}" class="text-black"${option === field.default ? ' selected' : ''}>${escapeHtml(option)}</option>`).join('');
+
+      return `
+			<div class="mb-6">
+				<label for="${field.key}" class="block text-sm font-medium text-white/90 mb-2">
+					${escapeHtml(field.title || field.key)}
+				</label>
+				<select 
+					id="${field.key}" 
+					name="${field.key}" 
+					class="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all"
+				>${options}
+				</select>
+				${helperText}
+			</div>`;
+    }
     
     return `
 			<div class="mb-6">
@@ -44,7 +191,7 @@ function generateLandingHTML(manifest) {
 					name="${field.key}" 
 					autocomplete="${autocomplete}"
 					class="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-lg text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all"
-					placeholder="${isEmail ? 'your-email@example.com' : isPassword ? 'Your hanime.tv password' : escapeHtml(field.title || field.key)}"
+					placeholder="${isEmail ? 'your-email@example.com' : isPassword ? 'Your hanime.tv password' : escapeHtml(hint.placeholder || field.title || field.key)}"
 					${field.required ? 'required' : ''}
 				/>
 				${helperText}
@@ -249,13 +396,79 @@ function generateLandingHTML(manifest) {
 			});
 		}
 		
-		if (installLink && mainForm) {
-			installLink.onclick = (e) => {
-				if (!mainForm.reportValidity()) {
-					e.preventDefault();
-					return false;
+		if (mainForm) {
+			[installLink, installWebLink].filter(Boolean).forEach(link => {
+				link.onclick = (e) => {
+					if (!mainForm.reportValidity()) {
+						e.preventDefault();
+						return false;
+					}
+				};
+			});
+		}
+		
+		// Serialize the catalog editor into its hidden field before links are updated
+		// An empty value means the default catalogs, so unticking every row is rejected instead
+		const catalogList = document.getElementById('catalogList');
+		const catalogsInput = document.getElementById('${CATALOGS_FIELD_KEY}');
+		
+		const serializeCatalogs = () => {
+			const rows = Array.from(catalogList.children);
+			const checked = rows.filter(row => row.querySelector('input[type=checkbox]').checked);
+			rows.forEach((row, index) => {
+				const message = index === 0 && checked.length === 0 ? 'Keep at least one catalog' : '';
+				row.querySelector('input[type=checkbox]').setCustomValidity(message);
+			});
+			const entries = checked.map(row => {
+				const name = row.querySelector('input[type=text]').value.replace(/[,=]/g, ' ').trim();
+				return name && name !== row.dataset.catalogName ? row.dataset.catalogId + '=' + name : row.dataset.catalogId;
+			});
+			const defaultValue = rows
+				.slice()
+				.sort((a, b) => a.dataset.defaultIndex - b.dataset.defaultIndex)
+				.map(row => row.dataset.catalogId)
+				.join(',');
+			const value = entries.join(',');
+			catalogsInput.value = value === defaultValue ? '' : value;
+		};
+		
+		if (catalogList && catalogsInput) {
+			Array.from(catalogList.children).forEach((row, index) => {
+				row.dataset.defaultIndex = String(index);
+			});
+			
+			catalogList.addEventListener('click', (e) => {
+				const button = e.target.closest('button[data-move]');
+				if (!button) return;
+				const row = button.closest('[data-catalog-id]');
+				if (button.dataset.move === '-1' && row.previousElementSibling) {
+					catalogList.insertBefore(row, row.previousElementSibling);
+				} else if (button.dataset.move === '1' && row.nextElementSibling) {
+					catalogList.insertBefore(row.nextElementSibling, row);
 				}
-			};
+				serializeCatalogs();
+				updateLinks();
+			});
+			
+			mainForm.addEventListener('change', serializeCatalogs);
+			mainForm.addEventListener('input', serializeCatalogs);
+		}
+		
+		// Join picked genres into their hidden field, further picks are disabled at the limit
+		const genreList = document.getElementById('genreList');
+		const genresInput = document.getElementById('${GENRES_FIELD_KEY}');
+		
+		const serializeGenres = () => {
+			const checkboxes = Array.from(genreList.querySelectorAll('input[type=checkbox]'));
+			const picked = checkboxes.filter(checkbox => checkbox.checked);
+			checkboxes.forEach(checkbox => {
+				checkbox.disabled = !checkbox.checked && picked.length >= ${constants.maxGenreCatalogs};
+			});
+			genresInput.value = picked.map(checkbox => checkbox.dataset.genre).join(',');
+		};
+		
+		if (genreList && genresInput) {
+			mainForm.addEventListener('change', serializeGenres);
 		}
 		
 		// Update links on any input change (real-time)
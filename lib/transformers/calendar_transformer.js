@@ -0,0 +1,127 @@
+/**
+ * Calendar Transformer
+ * Transforms Hanime videos to an iCalendar (RFC 5545) feed of release dates
+ */
+
+const config = require('../config');
+const { getReleaseTime } = require('../utils/date_utils');
+const { cleanDescription } = require('./formatters');
+
+// Lines longer than this many bytes are folded (RFC 5545 section 3.1)
+const MAX_LINE_BYTES = 75;
+
+/**
+ * Escape a text value
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into chunks of at most 75 bytes, continuation lines start with a space
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let chunkBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? MAX_LINE_BYTES : MAX_LINE_BYTES - 1;
+
+    if (chunkBytes + charBytes > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      chunkBytes = 0;
+    }
+
+    chunk += char;
+    chunkBytes += charBytes;
+  }
+
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Format a timestamp as an iCalendar date
+ * @param {number} time - Unix time in seconds
+ * @returns {string} Date (e.g., "20250131")
+ */
+function formatDate(time) {
+  return new Date(time * 1000).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Format a timestamp as an iCalendar UTC date-time
+ * @param {number} time - Unix time in seconds
+ * @returns {string} Date-time (e.g., "20250131T120000Z")
+ */
+function formatDateTime(time) {
+  return new Date(time * 1000).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Transform a video to an all-day release event
+ * @param {Object} video - Hanime video object with a release time
+ * @param {number} stamp - Feed generation time in seconds
+ * @returns {Array<string>} Event content lines
+ */
+function toCalendarEvent(video, stamp) {
+  const releasedAt = getReleaseTime(video);
+  const url = `https://hanime.tv/videos/hentai/${video.slug}`;
+  const description = [cleanDescription(video.description), url].filter(Boolean).join('\n\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${video.slug}@${config.addon.id}`,
+    `DTSTAMP:${formatDateTime(stamp)}`,
+    `DTSTART;VALUE=DATE:${formatDate(releasedAt)}`,
+    `DTEND;VALUE=DATE:${formatDate(releasedAt + 24 * 60 * 60)}`,
+    `SUMMARY:${escapeText(video.name)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `URL:${url}`,
+    ...(video.brand ? [`CATEGORIES:${escapeText(video.brand)}`] : []),
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Transform videos to an iCalendar feed
+ * Videos without a release time are skipped
+ * @param {Array} videos - Hanime video objects
+ * @param {string} name - Calendar name shown by calendar apps
+ * @returns {string} iCalendar document
+ */
+function toICalendar(videos, name) {
+  const stamp = Math.floor(Date.now() / 1000);
+  const events = (Array.isArray(videos) ? videos : [])
+    .filter(video => video && video.slug && getReleaseTime(video) !== null)
+    .flatMap(video => toCalendarEvent(video, stamp));
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeText(config.addon.name)}//Upcoming releases//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events,
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  toICalendar
+};
@@ -3,7 +3,7 @@
  * Shared formatting functions for transformers
  */
 
-const { getPublicUrl } = require('../config');
+const { getPublicUrl, buildManifestUrl } = require('../config');
 
 /**
  * Capitalize genre tags
@@ -48,6 +48,42 @@ function proxyURLById(videoId, imageType) {
   return `${baseUrl}/proxy/image/${encodedId}/${imageType}`;
 }
 
+/**
+ * Generate a Stremio deep link that opens one of this addon's catalogs
+ * Links point at the unconfigured manifest, use localizeDiscoverLinks to rebase them per user
+ * @param {string} type - Content type (e.g., "anime")
+ * @param {string} catalogId - Catalog ID (e.g., "hanime-studio")
+ * @param {Object} extra - Catalog extra parameters (e.g., { brand: "Pink Pineapple" })
+ * @returns {string} Discover URL (e.g., "stremio:///discover/<manifest>/anime/hanime-studio?brand=...")
+ */
+function discoverURL(type, catalogId, extra = {}) {
+  const transportUrl = encodeURIComponent(buildManifestUrl());
+  const query = Object.keys(extra)
+    .map(key => `${key}=${encodeURIComponent(extra[key])}`)
+    .join('&');
+  return `stremio:///discover/${transportUrl}/${type}/${catalogId}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Point discover links at the manifest URL the user installed the addon with
+ * Stremio only resolves discover links for installed addons, so the transport URL must match exactly
+ * @param {Array} links - Stremio meta links
+ * @param {Object} userConfig - User configuration from the addon URL
+ * @returns {Array} Links with rebased discover URLs
+ */
+function localizeDiscoverLinks(links, userConfig) {
+  if (!Array.isArray(links) || !userConfig || Object.keys(userConfig).length === 0) {
+    return links;
+  }
+
+  const basePrefix = `stremio:///discover/${encodeURIComponent(buildManifestUrl())}/`;
+  const userPrefix = `stremio:///discover/${encodeURIComponent(buildManifestUrl(userConfig))}/`;
+
+  return links.map(link => link.url && link.url.startsWith(basePrefix)
+    ? { ...link, url: userPrefix + link.url.slice(basePrefix.length) }
+    : link);
+}
+
 /**
  * Clean HTML tags from description
  * @param {string} description - Raw description with HTML
@@ -103,6 +139,8 @@ module.exports = {
   capitalizeGenres,
   titleize,
   proxyURLById,
+  discoverURL,
+  localizeDiscoverLinks,
   cleanDescription,
   calculateRating,
   formatRuntime,
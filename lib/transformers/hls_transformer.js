@@ -0,0 +1,90 @@
+/**
+ * HLS Transformer
+ * Transforms Hanime HLS streams to a multi-variant master playlist, so players can switch resolution,
+ * and rewrites the URIs in proxied playlists
+ */
+
+// Bandwidth guess for streams without file size or duration, roughly 4 kbit/s per line of resolution
+const BANDWIDTH_PER_LINE = 4000;
+
+/**
+ * Estimate the peak bandwidth of a stream in bits per second
+ * Uses the average bitrate from file size and duration when both are known
+ * @param {Object} stream - Hanime stream object
+ * @returns {number} Bandwidth in bits per second
+ */
+function estimateBandwidth(stream) {
+  const sizeMb = Number(stream.filesize_mbs) || 0;
+  const durationSeconds = (Number(stream.duration_in_ms) || 0) / 1000;
+
+  if (sizeMb > 0 && durationSeconds > 0) {
+    return Math.round((sizeMb * 8 * 1024 * 1024) / durationSeconds);
+  }
+
+  return Math.max(Number(stream.height) || 0, 1) * BANDWIDTH_PER_LINE;
+}
+
+/**
+ * Transform HLS streams to a master playlist
+ * Variants are listed in the given order, players start with the first one
+ * @param {Array} streams - Hanime HLS stream objects (see selectAdaptiveStreams)
+ * @returns {string} M3U8 master playlist
+ */
+function toMasterPlaylist(streams) {
+  const variants = (Array.isArray(streams) ? streams : []).flatMap((stream) => {
+    const attributes = [`BANDWIDTH=${estimateBandwidth(stream)}`];
+
+    if (stream.width && stream.height) {
+      attributes.push(`RESOLUTION=${stream.width}x${stream.height}`);
+    }
+
+    return [`#EXT-X-STREAM-INF:${attributes.join(',')}`, stream.url];
+  });
+
+  return ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS', ...variants].join('\n') + '\n';
+}
+
+/**
+ * Get what a tag's URI attribute points at
+ * @param {string} tag - Playlist tag line (e.g., "#EXT-X-KEY:METHOD=AES-128,URI=...")
+ * @returns {string} "key", "playlist" or "segment"
+ */
+function getTagUriKind(tag) {
+  if (/^#EXT-X-(SESSION-)?KEY:/.test(tag)) return 'key';
+  if (/^#EXT-X-(MEDIA|I-FRAME-STREAM-INF):/.test(tag)) return 'playlist';
+  return 'segment';
+}
+
+/**
+ * Rewrite every URI in a playlist
+ * URIs are resolved against the playlist URL first, so relative URIs keep working from another host.
+ * In a master playlist the URI lines are playlists, in a media playlist they are segments.
+ * @param {string} body - M3U8 playlist
+ * @param {string} playlistUrl - URL the playlist was fetched from
+ * @param {Function} mapUri - (absoluteUrl, kind) => URL to write, kind is "playlist", "segment" or "key"
+ * @returns {string} Rewritten playlist
+ */
+function rewritePlaylist(body, playlistUrl, mapUri) {
+  const isMaster = /^#EXT-X-STREAM-INF/m.test(body);
+  const resolve = (uri, kind) => mapUri(new URL(uri, playlistUrl).toString(), kind);
+
+  return String(body)
+    .split(/\r?\n/)
+    .map((line) => {
+      const trimmed = line.trim();
+      if (trimmed === '') return line;
+
+      if (trimmed.startsWith('#')) {
+        const kind = getTagUriKind(trimmed);
+        return trimmed.replace(/URI="([^"]+)"/g, (match, uri) => `URI="${resolve(uri, kind)}"`);
+      }
+
+      return resolve(trimmed, isMaster ? 'playlist' : 'segment');
+    })
+    .join('\n');
+}
+
+module.exports = {
+  toMasterPlaylist,
+  rewritePlaylist
+};
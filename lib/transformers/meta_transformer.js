@@ -7,6 +7,7 @@ const constants = require('../constants');
 const { 
   capitalizeGenres, 
   proxyURLById, 
+  discoverURL,
   cleanDescription, 
   calculateRating,
   formatRuntime,
@@ -50,18 +51,42 @@ function buildMetaLinks(video, genres) {
     });
   }
 
-  // Add studio/brand link
+  // Add studio/brand link (opens the studio catalog filtered by brand)
   if (video.brand) {
     links.push({
       name: video.brand,
       category: 'Studio',
-      url: `stremio:///search?search=${encodeURIComponent(video.brand)}`
+      url: discoverURL(constants.contentTypes.ANIME, constants.catalogCategories.STUDIO, { brand: video.brand })
     });
   }
 
   return links;
 }
 
+/**
+ * Build "More like this" links, followed by the full similar titles catalog
+ * Built per request, the titles depend on the user's filters
+ * @param {string} slug - Slug of the video the titles are similar to
+ * @param {Array} similarVideos - Similar titles, most similar first
+ * @returns {Array} Links array (empty without similar titles)
+ */
+function buildSimilarLinks(slug, similarVideos) {
+  if (!Array.isArray(similarVideos) || similarVideos.length === 0) return [];
+
+  return [
+    ...similarVideos.map(similar => ({
+      name: similar.name,
+      category: 'More like this',
+      url: `stremio:///detail/${constants.contentTypes.DEFAULT}/${constants.addonPrefix}:${similar.slug}`
+    })),
+    {
+      name: 'See all',
+      category: 'More like this',
+      url: discoverURL(constants.contentTypes.ANIME, constants.catalogCategories.SIMILAR, { similarTo: slug })
+    }
+  ];
+}
+
 /**
  * Transform Hanime video to Stremio meta object
  * @param {Object} hanimeVideo - Hanime video object
@@ -174,6 +199,7 @@ function toStremioSeriesMeta(seriesId, seriesName, episodes, imageUrls) {
 
 module.exports = {
   buildMetaLinks,
+  buildSimilarLinks,
   toStremioMeta,
   toStremioSeriesMeta
 };
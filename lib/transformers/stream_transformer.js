@@ -4,6 +4,30 @@
  */
 
 const { titleize } = require('./formatters');
+const { getPlayerHeaders } = require('../utils/header_utils');
+
+/**
+ * Get behavior hints for a stream
+ * Streams flagged with needs_headers (the user asked for Hanime's headers but the addon can't proxy them)
+ * ask supporting clients to send the site's headers through Stremio's streaming server. Other streams
+ * play directly, the hints would force them off web players.
+ * @param {Object} stream - Hanime stream object
+ * @param {string} bingeGroup - Autoplay group
+ * @returns {Object} Stremio behavior hints
+ */
+function getBehaviorHints(stream, bingeGroup) {
+  if (!stream || !stream.needs_headers) {
+    return { bingeGroup };
+  }
+
+  return {
+    bingeGroup,
+    notWebReady: true,
+    proxyHeaders: {
+      request: getPlayerHeaders()
+    }
+  };
+}
 
 /**
  * Transform Hanime stream to Stremio stream object
@@ -19,10 +43,38 @@ function toStremioStream(stream) {
     ? (stream.duration_in_ms / 60000).toFixed(0)
     : '0';
 
+  // Variant label is only set when censored and uncensored uploads are listed together
+  const variant = stream.variant ? `\n${stream.variant}` : '';
+  // The best match for the user's stream preferences is listed first, so autoplay picks it
+  const bestMatch = stream.is_best_match ? ' ⭐' : '';
+  // Guests only get the qualities Hanime allows without an account
+  const guestNote = stream.is_guest ? '\n 🔑 Sign in for higher qualities' : '';
+
+  return {
+    name: `Hanime.TV${bestMatch}\n${stream.height || 0}p${variant}`,
+    title: `${name.slice(0, -3)}\n 💾 ${stream.filesize_mbs || 0} MB ⌚ ${durationMin} min${guestNote}`,
+    url: stream.url,
+    // Autoplaying the next episode keeps the same resolution
+    behaviorHints: getBehaviorHints(stream, `hanime-${stream.height || 0}p`)
+  };
+}
+
+/**
+ * Build the "Auto" stream that plays an adaptive master playlist
+ * @param {Array} streams - Hanime HLS streams combined in the playlist
+ * @param {string} url - Master playlist URL
+ * @returns {Object} Stremio stream object
+ */
+function toAdaptiveStream(streams, url) {
+  const resolutions = streams.map(stream => `${stream.height || 0}p`).join(' / ');
+  const variant = streams[0] && streams[0].variant ? `\n${streams[0].variant}` : '';
+
   return {
-    name: `Hanime.TV\n${stream.height || 0}p`,
-    title: `${name.slice(0, -3)}\n 💾 ${stream.filesize_mbs || 0} MB ⌚ ${durationMin} min`,
-    url: stream.url
+    name: `Hanime.TV\nAuto${variant}`,
+    title: `Adaptive quality\n 📺 ${resolutions}`,
+    url,
+    // The playlist comes from the addon, its variants share the hints of the streams they were taken from
+    behaviorHints: getBehaviorHints(streams[0], 'hanime-auto')
   };
 }
 
@@ -50,5 +102,6 @@ function toStremioStreams(hanimeStreams, cacheConfig) {
 
 module.exports = {
   toStremioStream,
+  toAdaptiveStream,
   toStremioStreams
 };
@@ -0,0 +1,38 @@
+/**
+ * Config Utilities
+ * Pure functions for reading values from the user's addon configuration
+ */
+
+// Values the configure page and Stremio's own form send for a ticked checkbox
+const ENABLED_VALUES = ['checked', 'on', 'true', '1'];
+
+/**
+ * Check if a checkbox option is enabled
+ * @param {*} value - Configured value (e.g., "checked", "on" or true)
+ * @returns {boolean} True if the option is ticked
+ */
+function isEnabledOption(value) {
+  if (typeof value === 'boolean') return value;
+  return ENABLED_VALUES.includes(String(value || '').trim().toLowerCase());
+}
+
+/**
+ * Parse the config path segment the same way the SDK router does
+ * @param {string} rawConfig - Config path segment (already URL-decoded by Express)
+ * @returns {Object|null} User configuration or null if missing or invalid
+ */
+function parseConfigParam(rawConfig) {
+  if (!rawConfig) return null;
+
+  try {
+    const userConfig = JSON.parse(rawConfig);
+    return userConfig && typeof userConfig === 'object' ? userConfig : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  isEnabledOption,
+  parseConfigParam
+};
@@ -0,0 +1,74 @@
+/**
+ * Date Utilities
+ * Pure functions for release year ranges and release time lookups
+ */
+
+/**
+ * Parse a release year or year range
+ * Supports "2020" and "2015-2018" (bounds may be given in any order)
+ * @param {string|number} value - Year or year range
+ * @returns {Object|null} { startYear, endYear, start, end } with unix second bounds, or null if invalid
+ */
+function parseYearRange(value) {
+  if (!value) return null;
+
+  const match = String(value).trim().match(/^(\d{4})(?:\s*-\s*(\d{4}))?$/);
+  if (!match) return null;
+
+  const first = parseInt(match[1], 10);
+  const second = match[2] ? parseInt(match[2], 10) : first;
+  const startYear = Math.min(first, second);
+  const endYear = Math.max(first, second);
+
+  return {
+    startYear,
+    endYear,
+    start: Date.UTC(startYear, 0, 1) / 1000,
+    end: Date.UTC(endYear + 1, 0, 1) / 1000 - 1
+  };
+}
+
+/**
+ * Get release time of a video in unix seconds
+ * Search hits carry released_at_unix, older payloads only have a numeric released_at
+ * @param {Object} video - Hanime video object
+ * @returns {number|null} Release time or null if unknown
+ */
+function getReleaseTime(video) {
+  if (!video) return null;
+  if (typeof video.released_at_unix === 'number') return video.released_at_unix;
+  if (typeof video.released_at === 'number') return video.released_at;
+  return null;
+}
+
+/**
+ * Check if a video was released within a year range
+ * @param {Object} video - Hanime video object
+ * @param {Object} range - Range from parseYearRange
+ * @returns {boolean} True if the release time falls inside the range
+ */
+function isReleasedWithin(video, range) {
+  const releasedAt = getReleaseTime(video);
+  if (releasedAt === null || !range) return false;
+  return releasedAt >= range.start && releasedAt <= range.end;
+}
+
+/**
+ * Build year options from the current year back to the oldest release
+ * @param {number} oldestYear - Oldest year to include
+ * @returns {Array<string>} Years, newest first (e.g., ["2025", "2024", ...])
+ */
+function buildYearOptions(oldestYear) {
+  const years = [];
+  for (let year = new Date().getFullYear(); year >= oldestYear; year--) {
+    years.push(String(year));
+  }
+  return years;
+}
+
+module.exports = {
+  parseYearRange,
+  getReleaseTime,
+  isReleasedWithin,
+  buildYearOptions
+};
@@ -0,0 +1,67 @@
+/**
+ * Header Utilities
+ * Browser-like request headers for Hanime's CDN, which expects the site as Origin and Referer
+ * Shared by the image proxy and the stream proxy so both present the same profile
+ */
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/95.0.4638.69 Safari/537.36';
+
+const SITE_HEADERS = {
+  'Origin': 'https://hanime.tv',
+  'Referer': 'https://hanime.tv/'
+};
+
+// Headers that differ between fetch destinations
+const DESTINATION_HEADERS = {
+  image: {
+    'Accept': 'image/avif,image/webp,image/png,image/svg+xml,image/*;q=0.8,*/*;q=0.5',
+    'Sec-Fetch-Dest': 'image',
+    'Sec-Fetch-Mode': 'no-cors',
+    'Priority': 'u=4, i'
+  },
+  media: {
+    'Accept': '*/*',
+    'Sec-Fetch-Dest': 'empty',
+    'Sec-Fetch-Mode': 'cors',
+    'Priority': 'u=1'
+  }
+};
+
+/**
+ * Get the header profile for a CDN request
+ * @param {string} destination - "image" or "media" (playlists, keys and segments)
+ * @returns {Object} Request headers
+ */
+function getCdnHeaders(destination = 'image') {
+  const destinationHeaders = DESTINATION_HEADERS[destination] || DESTINATION_HEADERS.image;
+
+  return {
+    'User-Agent': USER_AGENT,
+    'Accept': destinationHeaders.Accept,
+    'Accept-Language': 'en-US,en;q=0.5',
+    ...SITE_HEADERS,
+    'Sec-GPC': '1',
+    'Sec-Fetch-Dest': destinationHeaders['Sec-Fetch-Dest'],
+    'Sec-Fetch-Mode': destinationHeaders['Sec-Fetch-Mode'],
+    'Sec-Fetch-Site': 'cross-site',
+    'Priority': destinationHeaders.Priority,
+    'Pragma': 'no-cache',
+    'Cache-Control': 'no-cache'
+  };
+}
+
+/**
+ * Get the headers a player should send for direct CDN playback (Stremio's behaviorHints.proxyHeaders)
+ * @returns {Object} Request headers
+ */
+function getPlayerHeaders() {
+  return {
+    'User-Agent': USER_AGENT,
+    ...SITE_HEADERS
+  };
+}
+
+module.exports = {
+  getCdnHeaders,
+  getPlayerHeaders
+};
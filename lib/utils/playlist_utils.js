@@ -0,0 +1,76 @@
+/**
+ * Playlist Utilities
+ * Pure functions for mapping account playlists to catalogs and finding the account's system playlists
+ */
+
+const { CatalogCategories, PLAYLIST_CATALOG_PREFIX } = require('../constants');
+
+// Hanime keeps liked videos and watch later as playlists, told apart by kind or title
+const SYSTEM_PLAYLIST_PATTERNS = {
+  [CatalogCategories.LIKED]: /^(liked?s?|liked videos|favou?rites?)$/i,
+  [CatalogCategories.WATCH_LATER]: /^watch[\s_-]?later$/i
+};
+
+/**
+ * Get the catalog ID for a playlist
+ * @param {string|number} playlistId - Playlist ID
+ * @returns {string} Catalog ID (e.g., "hanime-playlist-1234")
+ */
+function getPlaylistCatalogId(playlistId) {
+  return `${PLAYLIST_CATALOG_PREFIX}${playlistId}`;
+}
+
+/**
+ * Get the playlist ID of a playlist catalog ID
+ * @param {string} catalogId - Catalog ID
+ * @returns {string|null} Playlist ID or null if the ID is not a playlist catalog
+ */
+function getPlaylistIdFromCatalogId(catalogId) {
+  if (!catalogId || !catalogId.startsWith(PLAYLIST_CATALOG_PREFIX)) return null;
+
+  const playlistId = catalogId.slice(PLAYLIST_CATALOG_PREFIX.length).trim();
+  return playlistId || null;
+}
+
+/**
+ * Check if a catalog lists the account's own videos (liked videos, watch later or a playlist)
+ * @param {string} catalogId - Catalog ID
+ * @returns {boolean} True for account catalogs
+ */
+function isAccountCatalog(catalogId) {
+  return Object.prototype.hasOwnProperty.call(SYSTEM_PLAYLIST_PATTERNS, catalogId) ||
+    getPlaylistIdFromCatalogId(catalogId) !== null;
+}
+
+/**
+ * Find the system playlist backing the liked videos or watch later catalog
+ * @param {Array<Object>} playlists - Account playlists { id, kind, title }
+ * @param {string} catalogId - CatalogCategories.LIKED or CatalogCategories.WATCH_LATER
+ * @returns {Object|null} Playlist or null if the account has none
+ */
+function findSystemPlaylist(playlists, catalogId) {
+  const pattern = SYSTEM_PLAYLIST_PATTERNS[catalogId];
+  if (!pattern || !Array.isArray(playlists)) return null;
+
+  return playlists.find(playlist => pattern.test(playlist.kind || '')) ||
+    playlists.find(playlist => pattern.test((playlist.title || '').trim())) ||
+    null;
+}
+
+/**
+ * Check if a playlist is one of the account's system playlists (liked videos or watch later)
+ * @param {Object} playlist - Account playlist { id, kind, title }
+ * @returns {boolean} True for system playlists
+ */
+function isSystemPlaylist(playlist) {
+  return Object.values(SYSTEM_PLAYLIST_PATTERNS)
+    .some(pattern => pattern.test(playlist.kind || '') || pattern.test((playlist.title || '').trim()));
+}
+
+module.exports = {
+  getPlaylistCatalogId,
+  getPlaylistIdFromCatalogId,
+  isAccountCatalog,
+  findSystemPlaylist,
+  isSystemPlaylist
+};
@@ -0,0 +1,96 @@
+/**
+ * Query Parser
+ * Pure functions for the structured search syntax typed into Stremio's search box
+ * e.g., `tag:ntr -tag:scat brand:"Pink Pineapple" year:2020 sort:likes maid`
+ */
+
+const { SEARCH_SORT_KEYWORDS } = require('../constants');
+const { parseTagList } = require('./tag_utils');
+const { parseYearRange } = require('./date_utils');
+
+// Optional "-", a key, then a quoted or bare value; or a quoted phrase; or a bare word
+const TOKEN_PATTERN = /(-?)([a-z]+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/gi;
+
+/**
+ * Apply one `key:value` filter to the parsed query
+ * @param {Object} parsed - Parsed query to update
+ * @param {string} key - Lowercased filter key
+ * @param {string} value - Filter value
+ * @param {boolean} negated - True if the filter was prefixed with "-"
+ * @returns {boolean} True if the filter was recognized
+ */
+function applyFilter(parsed, key, value, negated) {
+  if (!value) return false;
+
+  if (key === 'tag') {
+    const tags = value.split(',');
+    (negated ? parsed.excludedTags : parsed.tags).push(...tags);
+    return true;
+  }
+
+  // Only tags can be excluded, the search API has no brand, year or sort exclusion
+  if (negated) return false;
+
+  switch (key) {
+    case 'brand':
+      parsed.brands.push(value);
+      return true;
+    case 'year':
+      if (!parseYearRange(value)) return false;
+      parsed.year = value;
+      return true;
+    case 'sort': {
+      const sort = SEARCH_SORT_KEYWORDS[value.toLowerCase()];
+      if (!sort) return false;
+      parsed.sort = sort;
+      return true;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Parse a search query into search API filters and free text
+ * Supported filters:
+ * - `tag:ntr` / `tag:"big boobs"` / `tag:milf,vanilla` - required tags
+ * - `-tag:scat` - excluded tags
+ * - `brand:"Pink Pineapple"` - studio (repeat for several)
+ * - `year:2020` / `year:2015-2018` - release year or range
+ * - `sort:likes` - one of the SEARCH_SORT_KEYWORDS
+ * Unknown keys and invalid values are kept as free text
+ * @param {string} value - Raw search query
+ * @returns {Object} { text, tags, excludedTags, brands, year, sort } (year and sort are null if not given)
+ */
+function parseSearchQuery(value) {
+  const parsed = { text: '', tags: [], excludedTags: [], brands: [], year: null, sort: null };
+  if (!value) return parsed;
+
+  const words = [];
+
+  for (const match of String(value).matchAll(TOKEN_PATTERN)) {
+    const [token, negation, rawKey, quotedValue, bareValue, phrase, word] = match;
+
+    if (rawKey === undefined) {
+      words.push(phrase !== undefined ? phrase : word);
+      continue;
+    }
+
+    const filterValue = (quotedValue !== undefined ? quotedValue : bareValue).trim();
+
+    if (!applyFilter(parsed, rawKey.toLowerCase(), filterValue, negation === '-')) {
+      words.push(token);
+    }
+  }
+
+  parsed.text = words.join(' ').replace(/\s+/g, ' ').trim();
+  parsed.tags = parseTagList(parsed.tags);
+  parsed.excludedTags = parseTagList(parsed.excludedTags);
+  parsed.brands = [...new Set(parsed.brands)];
+
+  return parsed;
+}
+
+module.exports = {
+  parseSearchQuery
+};
@@ -0,0 +1,61 @@
+/**
+ * Random Utilities
+ * Pure functions for seeded shuffling, so a random order can be paged and cached
+ */
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns numbers in [0, 1), the same sequence for the same seed
+ */
+function mulberry32(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Hash a string to a 32-bit seed (FNV-1a)
+ * @param {string} value - String to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(value) {
+  let hash = 0x811C9DC5;
+
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Shuffle a copy of an array with a seeded Fisher-Yates shuffle
+ * @param {Array} items - Items to shuffle
+ * @param {number} seed - Seed, the same seed gives the same order
+ * @returns {Array} Shuffled copy
+ */
+function seededShuffle(items, seed) {
+  const random = mulberry32(seed);
+  const shuffled = [...items];
+
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return shuffled;
+}
+
+module.exports = {
+  mulberry32,
+  hashString,
+  seededShuffle
+};
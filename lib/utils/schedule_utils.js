@@ -0,0 +1,32 @@
+/**
+ * Schedule Utilities
+ * Periodic background jobs for the long-running services (index saves, crawls, snapshots, taxonomy refreshes)
+ */
+
+const logger = require('../logger');
+
+/**
+ * Run a job at a fixed interval in the background
+ * A failed run is logged and the next one still happens. The timer doesn't keep the process alive.
+ * @param {Function} job - Async job
+ * @param {number} intervalSeconds - Interval in seconds
+ * @param {string} failureMessage - Warning logged when a run fails
+ * @returns {Function} Cancels the schedule
+ */
+function scheduleJob(job, intervalSeconds, failureMessage) {
+  const timer = setInterval(() => {
+    Promise.resolve()
+      .then(job)
+      .catch((error) => {
+        logger.warn(failureMessage, { error: error.message });
+      });
+  }, intervalSeconds * 1000);
+
+  if (timer.unref) timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  scheduleJob
+};
@@ -1,6 +1,7 @@
 /**
  * Series Utilities
  * Pure functions for detecting and grouping multi-episode content into series
+ * Franchise data from the video API is authoritative, title patterns are the fallback
  * No dependencies - all stateless transformations
  */
 
@@ -118,6 +119,116 @@ function detectSeries(videos) {
   return series;
 }
 
+/**
+ * Extract franchise grouping from a /api/v8/video payload
+ * The franchise lists every sibling video (episodes, OVAs, specials) and is the authoritative grouping
+ * @param {Object} videoData - Video API response
+ * @returns {Object|null} { slug, name, videos } or null if the payload has no franchise data
+ */
+function getFranchiseInfo(videoData) {
+  const franchise = videoData && videoData.hentai_franchise;
+  const videos = videoData && videoData.hentai_franchise_hentai_videos;
+
+  if (!franchise || !franchise.slug || !Array.isArray(videos) || videos.length === 0) {
+    return null;
+  }
+
+  return {
+    slug: franchise.slug,
+    name: franchise.name || franchise.title || '',
+    videos
+  };
+}
+
+/**
+ * Sort franchise videos into episode order and number them
+ * Orders by release date, falling back to the episode number parsed from the name
+ * @param {Array} videos - Franchise videos
+ * @returns {Array} Episodes with episodeNumber set
+ */
+function sortFranchiseEpisodes(videos) {
+  return [...videos]
+    .sort((a, b) => {
+      const byRelease = (a.released_at_unix || 0) - (b.released_at_unix || 0);
+      if (byRelease !== 0) return byRelease;
+
+      const aInfo = parseEpisodeInfo(a.name);
+      const bInfo = parseEpisodeInfo(b.name);
+      return (aInfo ? aInfo.episodeNumber : 0) - (bInfo ? bInfo.episodeNumber : 0);
+    })
+    .map((video, index) => ({ ...video, episodeNumber: index + 1 }));
+}
+
+/**
+ * Group videos into series using resolved franchise data
+ * Videos without franchise data fall back to title-based detection
+ * @param {Array} videos - Array of video objects in display order
+ * @param {Object} franchiseOf - Map of video slug to { slug, name } franchise (falsy if unknown)
+ * @returns {Array} Array of series objects { id, baseName, episodes }, in order of first appearance
+ */
+function groupSeriesByFranchise(videos, franchiseOf) {
+  if (!Array.isArray(videos) || videos.length === 0) {
+    return [];
+  }
+
+  const positions = new Map(videos.map((video, index) => [video.slug, index]));
+  const franchiseMap = new Map();
+  const unresolved = [];
+
+  videos.forEach(video => {
+    const franchise = franchiseOf[video.slug];
+
+    if (!franchise) {
+      unresolved.push(video);
+      return;
+    }
+
+    if (!franchiseMap.has(franchise.slug)) {
+      franchiseMap.set(franchise.slug, {
+        id: `series:${franchise.slug}`,
+        baseName: franchise.name,
+        episodes: []
+      });
+    }
+
+    franchiseMap.get(franchise.slug).episodes.push(video);
+  });
+
+  // Single-video franchises are standalone titles, not series
+  const franchiseSeries = [...franchiseMap.values()]
+    .filter(series => series.episodes.length >= 2)
+    .map(series => ({ ...series, episodes: sortFranchiseEpisodes(series.episodes) }));
+
+  const firstPosition = (series) => Math.min(...series.episodes.map(episode => positions.get(episode.slug)));
+
+  return [...franchiseSeries, ...detectSeries(unresolved)]
+    .sort((a, b) => firstPosition(a) - firstPosition(b));
+}
+
+/**
+ * Build a series catalog item from a detected series
+ * Uses representative data from the first episode
+ * @param {Object} series - Series object { id, baseName, episodes }
+ * @returns {Object} Series catalog item
+ */
+function toSeriesCatalogItem(series) {
+  const firstEpisode = series.episodes[0];
+
+  return {
+    id: series.id,
+    name: series.baseName,
+    slug: series.id,
+    // Use first episode's data for cover, description, tags
+    cover_url: firstEpisode.cover_url,
+    poster_url: firstEpisode.poster_url,
+    description: firstEpisode.description,
+    tags: firstEpisode.tags,
+    // Series-specific data
+    episodeCount: series.episodes.length,
+    isSeries: true
+  };
+}
+
 /**
  * Get unique series from video list (for catalog display)
  * Returns one entry per series with representative data from first episode
@@ -125,25 +236,7 @@ function detectSeries(videos) {
  * @returns {Array} Array of series catalog items
  */
 function getSeriesCatalogItems(videos) {
-  const series = detectSeries(videos);
-  
-  return series.map(s => {
-    const firstEpisode = s.episodes[0];
-    
-    return {
-      id: s.id,
-      name: s.baseName,
-      slug: s.id,
-      // Use first episode's data for cover, description, tags
-      cover_url: firstEpisode.cover_url,
-      poster_url: firstEpisode.poster_url,
-      description: firstEpisode.description,
-      tags: firstEpisode.tags,
-      // Series-specific data
-      episodeCount: s.episodes.length,
-      isSeries: true
-    };
-  });
+  return detectSeries(videos).map(toSeriesCatalogItem);
 }
 
 /**
@@ -170,6 +263,10 @@ module.exports = {
   parseEpisodeInfo,
   generateSeriesSlug,
   detectSeries,
+  getFranchiseInfo,
+  sortFranchiseEpisodes,
+  groupSeriesByFranchise,
+  toSeriesCatalogItem,
   getSeriesCatalogItems,
   getSeriesEpisodes
 };
@@ -0,0 +1,40 @@
+/**
+ * Signing Utilities
+ * Pure functions for HMAC-signed, expiring URLs, so proxy routes only fetch URLs the addon handed out
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Sign a value with an expiry time
+ * @param {string} value - Value to sign (e.g., an upstream URL)
+ * @param {number} expires - Expiry as Unix time in seconds
+ * @param {string} secret - HMAC secret
+ * @returns {string} Signature (base64url)
+ */
+function sign(value, expires, secret) {
+  return crypto.createHmac('sha256', secret).update(`${expires}:${value}`).digest('base64url');
+}
+
+/**
+ * Check a signature and its expiry time
+ * @param {string} value - Signed value
+ * @param {number|string} expires - Expiry as Unix time in seconds
+ * @param {string} signature - Signature to check
+ * @param {string} secret - HMAC secret
+ * @returns {boolean} True if the signature matches and has not expired
+ */
+function verifySignature(value, expires, signature, secret) {
+  const expiresAt = parseInt(expires, 10);
+  if (!value || !signature || !Number.isFinite(expiresAt) || expiresAt < Date.now() / 1000) return false;
+
+  const expected = Buffer.from(sign(value, expiresAt, secret));
+  const actual = Buffer.from(String(signature));
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  sign,
+  verifySignature
+};
@@ -0,0 +1,80 @@
+/**
+ * Similarity Utilities
+ * Pure functions for ranking titles similar to a video by shared tags, studio and release date
+ */
+
+const { getReleaseTime } = require('./date_utils');
+const { getVariantKey } = require('./variant_utils');
+
+// Score contributions; tags dominate so titles never rank on studio or release date alone
+const TAG_WEIGHT = 3;
+const BRAND_WEIGHT = 1;
+const RELEASE_WEIGHT = 1;
+
+// Release dates further apart than this add nothing
+const RELEASE_WINDOW = 3 * 365 * 24 * 60 * 60; // 3 years in seconds
+
+/**
+ * Get the lowercased tags of a search hit or video API payload
+ * @param {Object} video - Hanime video object (tags, or hentai_tags as { text } objects)
+ * @returns {Array<string>} Tags
+ */
+function getVideoTags(video) {
+  const tags = Array.isArray(video.tags)
+    ? video.tags
+    : (video.hentai_tags || []).map(tag => tag && tag.text);
+
+  return tags.filter(tag => typeof tag === 'string').map(tag => tag.toLowerCase());
+}
+
+/**
+ * Score how similar a candidate is to a video
+ * Tag overlap (Jaccard index) plus a bonus for the same studio and for close release dates
+ * @param {Object} video - Hanime video object
+ * @param {Object} candidate - Hanime video object to compare
+ * @returns {number} Score, 0 if the videos share no tags
+ */
+function getSimilarityScore(video, candidate) {
+  const tags = new Set(getVideoTags(video));
+  const candidateTags = new Set(getVideoTags(candidate));
+  const sharedTags = [...candidateTags].filter(tag => tags.has(tag)).length;
+
+  if (sharedTags === 0) return 0;
+
+  const tagScore = sharedTags / (tags.size + candidateTags.size - sharedTags);
+  const sameBrand = Boolean(video.brand) && video.brand === candidate.brand;
+
+  const releasedAt = getReleaseTime(video);
+  const candidateReleasedAt = getReleaseTime(candidate);
+  const releaseScore = releasedAt !== null && candidateReleasedAt !== null
+    ? Math.max(0, 1 - Math.abs(releasedAt - candidateReleasedAt) / RELEASE_WINDOW)
+    : 0;
+
+  return TAG_WEIGHT * tagScore + (sameBrand ? BRAND_WEIGHT : 0) + RELEASE_WEIGHT * releaseScore;
+}
+
+/**
+ * Find titles similar to a video, most similar first
+ * Variants of the video itself are excluded
+ * @param {Object} video - Hanime video object
+ * @param {Array} candidates - Videos to pick from (e.g., the search index)
+ * @returns {Array} Similar videos
+ */
+function findSimilarVideos(video, candidates) {
+  if (!video || !Array.isArray(candidates)) return [];
+
+  const variantKey = getVariantKey(video);
+
+  return candidates
+    .filter(candidate => candidate && candidate.slug && getVariantKey(candidate) !== variantKey)
+    .map(candidate => ({ candidate, score: getSimilarityScore(video, candidate) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || (b.candidate.views || 0) - (a.candidate.views || 0))
+    .map(entry => entry.candidate);
+}
+
+module.exports = {
+  getVideoTags,
+  getSimilarityScore,
+  findSimilarVideos
+};
@@ -0,0 +1,161 @@
+/**
+ * Stream Utilities
+ * Pure functions for filtering and ordering streams by the user's quality preferences, and picking
+ * the streams of an adaptive playlist
+ */
+
+const { StreamSortModes, STREAM_RESOLUTIONS, EntitlementTiers } = require('../constants');
+
+// Stream flag telling whether each entitlement tier may play a stream
+const ENTITLEMENT_FLAGS = {
+  [EntitlementTiers.GUEST]: 'is_guest_allowed',
+  [EntitlementTiers.MEMBER]: 'is_member_allowed',
+  [EntitlementTiers.PREMIUM]: 'is_premium_allowed'
+};
+
+/**
+ * Parse stream preferences from user configuration
+ * Unknown values fall back to no limit, no preference and highest quality first
+ * @param {Object} userConfig - Addon configuration
+ * @returns {Object} { maxHeight, preferredHeight, preferredServer, sort }
+ */
+function parseStreamPreferences(userConfig = {}) {
+  const config = userConfig || {};
+
+  return {
+    maxHeight: STREAM_RESOLUTIONS[config.maxResolution] || null,
+    preferredHeight: STREAM_RESOLUTIONS[config.preferredResolution] || null,
+    preferredServer: String(config.preferredServer || '').trim().toLowerCase(),
+    sort: Object.values(StreamSortModes).includes(config.streamSort) ? config.streamSort : StreamSortModes.QUALITY
+  };
+}
+
+/**
+ * Check if a stream comes from the preferred server
+ * The server is part of the stream group (e.g., "Jupiter-3"), matched case-insensitively
+ * @param {Object} stream - Hanime stream object
+ * @param {string} preferredServer - Lowercased server name, empty for no preference
+ * @returns {boolean} True if the stream's server matches
+ */
+function isPreferredServer(stream, preferredServer) {
+  if (!preferredServer) return false;
+  return String(stream.video_stream_group_id || '').toLowerCase().includes(preferredServer);
+}
+
+/**
+ * Compare two streams by preference
+ * The preferred resolution comes first, then the preferred server, then the sort order
+ * @param {Object} a - Hanime stream object
+ * @param {Object} b - Hanime stream object
+ * @param {Object} preferences - From parseStreamPreferences
+ * @returns {number} Negative if a comes first
+ */
+function compareStreams(a, b, preferences) {
+  const rank = matches => (matches ? 0 : 1);
+  const heightA = Number(a.height) || 0;
+  const heightB = Number(b.height) || 0;
+  // Unknown sizes sort last when the smallest file comes first
+  const sizeA = Number(a.filesize_mbs) || Infinity;
+  const sizeB = Number(b.filesize_mbs) || Infinity;
+
+  const byResolution = preferences.preferredHeight
+    ? rank(heightA === preferences.preferredHeight) - rank(heightB === preferences.preferredHeight)
+    : 0;
+  if (byResolution !== 0) return byResolution;
+
+  const byServer = rank(isPreferredServer(a, preferences.preferredServer)) -
+    rank(isPreferredServer(b, preferences.preferredServer));
+  if (byServer !== 0) return byServer;
+
+  if (preferences.sort === StreamSortModes.SIZE) {
+    return (sizeA === sizeB ? 0 : sizeA < sizeB ? -1 : 1) || heightB - heightA;
+  }
+
+  return heightB - heightA || (sizeA === sizeB ? 0 : sizeA > sizeB ? -1 : 1);
+}
+
+/**
+ * Filter and order streams by the user's preferences and mark the first one as the best match
+ * Streams above the maximum resolution are dropped; when none is left the lowest resolution is kept,
+ * so a title never ends up without streams. Equal streams keep their server order.
+ * @param {Array} streams - Hanime stream objects
+ * @param {Object} preferences - From parseStreamPreferences
+ * @returns {Array} Streams in preference order, the first with is_best_match
+ */
+function applyStreamPreferences(streams, preferences) {
+  if (!Array.isArray(streams) || streams.length === 0) return [];
+
+  const heightOf = stream => Number(stream.height) || 0;
+  const withinLimit = preferences.maxHeight
+    ? streams.filter(stream => heightOf(stream) <= preferences.maxHeight)
+    : streams;
+  const lowestHeight = Math.min(...streams.map(heightOf));
+  const candidates = withinLimit.length > 0 ? withinLimit : streams.filter(stream => heightOf(stream) === lowestHeight);
+
+  return [...candidates]
+    .sort((a, b) => compareStreams(a, b, preferences))
+    .map((stream, index) => (index === 0 ? { ...stream, is_best_match: true } : stream));
+}
+
+/**
+ * Keep the streams an entitlement tier may play
+ * Streams without the tier's flag are kept, only an explicit false drops them
+ * @param {Array} streams - Hanime stream objects
+ * @param {string} tier - EntitlementTiers value
+ * @returns {Array} Streams allowed for the tier
+ */
+function filterByEntitlement(streams, tier) {
+  if (!Array.isArray(streams)) return [];
+
+  const flag = ENTITLEMENT_FLAGS[tier];
+  if (!flag) return streams;
+
+  return streams.filter(stream => stream[flag] !== false);
+}
+
+/**
+ * Check if a stream is an HLS playlist
+ * @param {Object} stream - Hanime stream object
+ * @returns {boolean} True for m3u8 streams
+ */
+function isHlsStream(stream) {
+  const mimeType = String(stream.mime_type || '').toLowerCase();
+  const extension = String(stream.extension || '').toLowerCase();
+
+  return mimeType.includes('mpegurl') || extension === 'm3u8' || /\.m3u8(\?|$)/i.test(stream.url || '');
+}
+
+/**
+ * Pick the HLS streams that can be combined into one adaptive playlist
+ * Variants of one server and upload are combined: the group of the first HLS stream (the user's best
+ * match when streams are in preference order), one stream per resolution
+ * @param {Array} streams - Hanime stream objects, in preference order
+ * @returns {Array} Streams to combine, in the same order
+ */
+function selectAdaptiveStreams(streams) {
+  if (!Array.isArray(streams)) return [];
+
+  const hlsStreams = streams.filter(stream => stream && stream.url && isHlsStream(stream));
+  if (hlsStreams.length === 0) return [];
+
+  const { video_stream_group_id: group, is_censored: censored } = hlsStreams[0];
+  const seenHeights = new Set();
+
+  return hlsStreams.filter((stream) => {
+    if (stream.video_stream_group_id !== group || stream.is_censored !== censored) return false;
+    if (seenHeights.has(stream.height)) return false;
+
+    seenHeights.add(stream.height);
+    return true;
+  });
+}
+
+module.exports = {
+  parseStreamPreferences,
+  isPreferredServer,
+  compareStreams,
+  applyStreamPreferences,
+  filterByEntitlement,
+  isHlsStream,
+  selectAdaptiveStreams
+};
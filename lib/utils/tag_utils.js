@@ -0,0 +1,80 @@
+/**
+ * Tag Utilities
+ * Pure functions for normalizing tag lists, filtering videos by tags and mapping genre catalogs
+ */
+
+const { GENRE_CATALOG_PREFIX } = require('../constants');
+
+/**
+ * Parse a tag list from a comma-separated string or array
+ * Tags are trimmed, lowercased, de-duplicated and sorted so equal lists compare equal
+ * @param {string|Array<string>} value - Raw tag list (e.g., "Scat, ntr" or ["scat", "ntr"])
+ * @returns {Array<string>} Normalized tags (e.g., ["ntr", "scat"])
+ */
+function parseTagList(value) {
+  if (!value) return [];
+
+  const rawTags = Array.isArray(value) ? value : String(value).split(',');
+  const tags = rawTags
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(tag => tag !== '');
+
+  return [...new Set(tags)].sort();
+}
+
+/**
+ * Check if a video has any of the given tags
+ * @param {Object} video - Hanime video object with tags array
+ * @param {Array<string>} tags - Normalized tags to look for
+ * @returns {boolean} True if at least one tag matches
+ */
+function hasAnyTag(video, tags) {
+  if (!video || !Array.isArray(video.tags) || tags.length === 0) return false;
+
+  return video.tags.some(tag => typeof tag === 'string' && tags.includes(tag.toLowerCase()));
+}
+
+/**
+ * Remove videos carrying blacklisted tags
+ * @param {Array} videos - Array of Hanime video objects
+ * @param {Array<string>} blacklist - Normalized blacklisted tags
+ * @returns {Array} Videos without blacklisted tags
+ */
+function filterBlacklisted(videos, blacklist) {
+  if (!Array.isArray(videos)) return [];
+  if (!Array.isArray(blacklist) || blacklist.length === 0) return videos;
+
+  return videos.filter(video => !hasAnyTag(video, blacklist));
+}
+
+/**
+ * Get the catalog ID for a genre
+ * Spaces become underscores so the genre can be read back from the ID (tags may contain hyphens)
+ * @param {string} genre - Genre tag (e.g., "big boobs")
+ * @returns {string} Catalog ID (e.g., "hanime-genre-big_boobs")
+ */
+function getGenreCatalogId(genre) {
+  return `${GENRE_CATALOG_PREFIX}${genre.trim().toLowerCase().replace(/\s+/g, '_')}`;
+}
+
+/**
+ * Get the genre preset by a genre catalog ID
+ * Works for any tag, including live tags missing from the static list
+ * @param {string} catalogId - Catalog ID
+ * @returns {string|null} Genre tag or null if the ID is not a genre catalog
+ */
+function getGenreFromCatalogId(catalogId) {
+  if (!catalogId || !catalogId.startsWith(GENRE_CATALOG_PREFIX)) return null;
+
+  const genre = catalogId.slice(GENRE_CATALOG_PREFIX.length).replace(/_/g, ' ').trim();
+  return genre || null;
+}
+
+module.exports = {
+  parseTagList,
+  hasAnyTag,
+  filterBlacklisted,
+  getGenreCatalogId,
+  getGenreFromCatalogId
+};
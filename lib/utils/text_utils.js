@@ -0,0 +1,77 @@
+/**
+ * Text Utilities
+ * Pure functions for tokenizing titles and typo-tolerant word matching
+ */
+
+/**
+ * Split text into lowercase words without accents or punctuation
+ * @param {string} text - Text to tokenize (e.g., "Kuroinu: Kedakaki Seijo")
+ * @returns {Array<string>} Words (e.g., ["kuroinu", "kedakaki", "seijo"])
+ */
+function tokenize(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Get the number of typos tolerated for a word
+ * Short words must match exactly, otherwise almost everything would match
+ * @param {string} word - Query word
+ * @returns {number} Maximum edit distance
+ */
+function getTypoTolerance(word) {
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Get the edit distance between two words, counting adjacent swaps as one edit
+ * Stops early once the distance is known to exceed the maximum
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Maximum distance of interest
+ * @returns {number} Edit distance, or max + 1 if it exceeds max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+
+    if (rowMin > max) return max + 1;
+
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return Math.min(row[b.length], max + 1);
+}
+
+module.exports = {
+  tokenize,
+  getTypoTolerance,
+  editDistance
+};
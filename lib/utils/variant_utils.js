@@ -0,0 +1,128 @@
+/**
+ * Variant Utilities
+ * Pure functions for censored/uncensored release variants
+ * Many releases are uploaded twice, once censored and once uncensored, with slugs that only differ
+ * by an "uncensored"/"censored" word (e.g., "overflow-1" and "overflow-1-uncensored")
+ */
+
+const { CensorshipModes } = require('../constants');
+
+const VARIANT_WORDS = ['uncensored', 'censored'];
+
+/**
+ * Parse the censorship mode from user configuration (defaults to showing both variants)
+ * @param {string} value - Configured mode
+ * @returns {string} One of CensorshipModes
+ */
+function parseCensorshipMode(value) {
+  return Object.values(CensorshipModes).includes(value) ? value : CensorshipModes.ALL;
+}
+
+/**
+ * Check if a video is censored
+ * Search hits carry is_censored, user API details carry isCensored, otherwise the name is checked
+ * @param {Object} video - Hanime video object
+ * @returns {boolean|null} True if censored, false if uncensored, null if unknown
+ */
+function isCensoredVideo(video) {
+  if (!video) return null;
+  if (typeof video.is_censored === 'boolean') return video.is_censored;
+  if (typeof video.isCensored === 'boolean') return video.isCensored;
+  if (video.name && /\buncensored\b/i.test(video.name)) return false;
+  return null;
+}
+
+/**
+ * Get the key shared by all variants of a release
+ * @param {Object} video - Hanime video object with slug
+ * @returns {string} Slug without variant words (e.g., "overflow-1-uncensored" -> "overflow-1")
+ */
+function getVariantKey(video) {
+  const slug = (video && video.slug) || '';
+
+  return slug
+    .toLowerCase()
+    .split('-')
+    .filter(part => !VARIANT_WORDS.includes(part))
+    .join('-');
+}
+
+/**
+ * Get a display label for a variant
+ * @param {Object} video - Hanime video object
+ * @returns {string|null} "Censored", "Uncensored" or null if unknown
+ */
+function getVariantLabel(video) {
+  const censored = isCensoredVideo(video);
+  if (censored === null) return null;
+  return censored ? 'Censored' : 'Uncensored';
+}
+
+/**
+ * Check if a video matches a censorship mode
+ * Videos with unknown censorship always match
+ * @param {Object} video - Hanime video object
+ * @param {string} mode - One of CensorshipModes
+ * @returns {boolean} True if the video should be shown
+ */
+function matchesCensorship(video, mode) {
+  if (mode === CensorshipModes.ALL) return true;
+
+  const censored = isCensoredVideo(video);
+  if (censored === null) return true;
+
+  return mode === CensorshipModes.CENSORED ? censored : !censored;
+}
+
+/**
+ * Remove videos that don't match a censorship mode
+ * @param {Array} videos - Array of Hanime video objects
+ * @param {string} mode - One of CensorshipModes
+ * @returns {Array} Matching videos
+ */
+function filterByCensorship(videos, mode) {
+  if (!Array.isArray(videos)) return [];
+  if (mode === CensorshipModes.ALL) return videos;
+
+  return videos.filter(video => matchesCensorship(video, mode));
+}
+
+/**
+ * Create a predicate that keeps the first variant of each release
+ * For lists that arrive page by page: call it once per video in list order, with a new predicate per list
+ * @returns {Function} (video) => boolean, false for later variants of a release already seen
+ */
+function createVariantMerger() {
+  const seen = new Set();
+
+  return (video) => {
+    const key = getVariantKey(video);
+    if (!key) return true;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  };
+}
+
+/**
+ * Merge variants of the same release into one entry
+ * Keeps the first variant in list order; streams for it list every variant
+ * @param {Array} videos - Array of Hanime video objects
+ * @returns {Array} Videos with later variants removed
+ */
+function mergeVariants(videos) {
+  if (!Array.isArray(videos)) return [];
+
+  return videos.filter(createVariantMerger());
+}
+
+module.exports = {
+  parseCensorshipMode,
+  isCensoredVideo,
+  getVariantKey,
+  getVariantLabel,
+  matchesCensorship,
+  filterByCensorship,
+  createVariantMerger,
+  mergeVariants
+};
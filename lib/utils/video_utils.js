@@ -0,0 +1,29 @@
+/**
+ * Video Utilities
+ * Pure functions for compact video records kept by background jobs
+ */
+
+/**
+ * Keep only the video fields needed for catalogs and meta (keeps stored indexes small)
+ * @param {Object} video - Search hit
+ * @returns {Object} Trimmed video
+ */
+function trimVideo(video) {
+  return {
+    id: video.id,
+    slug: video.slug,
+    name: video.name,
+    cover_url: video.cover_url,
+    poster_url: video.poster_url,
+    description: video.description,
+    tags: video.tags,
+    brand: video.brand,
+    is_censored: video.is_censored,
+    released_at_unix: video.released_at_unix,
+    created_at_unix: video.created_at_unix
+  };
+}
+
+module.exports = {
+  trimVideo
+};
@@ -7,9 +7,14 @@ const express = require('express');
 const path = require('path');
 const { getRouter } = require('stremio-addon-sdk');
 const generateLandingHTML = require('../../lib/templates/landing_template');
+const { getBaseManifest } = require('../../lib/manifest');
 const addonInterface = require('../../addon');
 const apiClient = addonInterface.apiClient; // Get the shared apiClient instance
 const createImageProxyMiddleware = require('../../lib/middleware/proxy_image_middleware');
+const createManifestMiddleware = require('../../lib/middleware/manifest_middleware');
+const createCalendarMiddleware = require('../../lib/middleware/calendar_middleware');
+const createHlsMiddleware = require('../../lib/middleware/hls_middleware');
+const createHlsProxyMiddleware = require('../../lib/middleware/proxy_hls_middleware');
 const config = require('../../lib/config');
 const logger = require('../../lib/logger');
 
@@ -23,29 +28,41 @@ app.use((req, res, next) => {
   next();
 });
 
-const landingHTML = generateLandingHTML(addonInterface.manifest);
+const taxonomyService = addonInterface.taxonomyService;
 const hasConfig = (addonInterface.manifest.config || []).length > 0;
 
 // Handle landing page - redirect to /configure if config is required
-app.get('/', (req, res) => {
+app.get('/', async (req, res) => {
   if (hasConfig && addonInterface.manifest.behaviorHints?.configurationRequired) {
     res.redirect('/configure');
   } else {
     res.setHeader('content-type', 'text/html');
-    res.end(landingHTML);
+    res.end(generateLandingHTML(getBaseManifest(await taxonomyService.getTaxonomy())));
   }
 });
 
 // Handle configuration page (required when config is defined)
 if (hasConfig) {
-  app.get('/configure', (req, res) => {
+  app.get('/configure', async (req, res) => {
     res.setHeader('content-type', 'text/html');
-    res.end(landingHTML);
+    res.end(generateLandingHTML(getBaseManifest(await taxonomyService.getTaxonomy())));
   });
 }
 
+// Live and per-user manifests must answer before the SDK router's static manifest
+app.get(['/manifest.json', '/:config/manifest.json'], createManifestMiddleware(taxonomyService, addonInterface.accountService));
+
 app.use(getRouter(addonInterface));
 
+// Upcoming releases as an iCalendar feed
+app.get('/calendar.ics', createCalendarMiddleware(addonInterface.upcomingService));
+
+// Adaptive master playlist behind the "Auto" stream
+app.get('/hls/:key/master.m3u8', createHlsMiddleware());
+
+// Signed stream proxy for players that can't send the CDN's Origin and Referer
+app.get('/proxy/hls/:file', createHlsProxyMiddleware(addonInterface.hlsProxyService));
+
 app.get('/proxy/image/:id/:type', (req, res, next) => {
   logger.debug('Proxy request received', {
     path: req.path,
@@ -53,7 +70,7 @@ app.get('/proxy/image/:id/:type', (req, res, next) => {
     type: req.params.type
   });
   next();
-}, createImageProxyMiddleware(config, apiClient));
+}, createImageProxyMiddleware(config, apiClient, addonInterface.seriesIndex, addonInterface.searchIndex));
 
 app.use('/images', express.static(path.join(__dirname, '../../public/images')));
 app.use('/css', express.static(path.join(__dirname, '../../public/css')));
@@ -10,11 +10,16 @@ const path = require('path');
 const fs = require('fs');
 const { getRouter } = require('stremio-addon-sdk');
 const generateLandingHTML = require('./lib/templates/landing_template');
+const { getBaseManifest } = require('./lib/manifest');
 const config = require('./lib/config');
 const logger = require('./lib/logger');
 const addonInterface = require('./addon');
 const apiClient = addonInterface.apiClient; // Get the shared apiClient instance
 const createImageProxyMiddleware = require('./lib/middleware/proxy_image_middleware');
+const createManifestMiddleware = require('./lib/middleware/manifest_middleware');
+const createCalendarMiddleware = require('./lib/middleware/calendar_middleware');
+const createHlsMiddleware = require('./lib/middleware/hls_middleware');
+const createHlsProxyMiddleware = require('./lib/middleware/proxy_hls_middleware');
 const { 
   createGeneralRateLimiter, 
   createImageProxyRateLimiter,
@@ -153,29 +158,41 @@ function serveHTTP(addonInterface, opts = {}) {
     logger.debug('Rate limiting and slow-down disabled');
   }
 
-  const landingHTML = generateLandingHTML(addonInterface.manifest);
+  const taxonomyService = addonInterface.taxonomyService;
   const hasConfig = (addonInterface.manifest.config || []).length > 0;
 
   // Handle landing page - redirect to /configure if config is required
-  app.get('/', (req, res) => {
+  app.get('/', async (req, res) => {
     if (hasConfig && addonInterface.manifest.behaviorHints?.configurationRequired) {
       res.redirect('/configure');
     } else {
       res.setHeader('content-type', 'text/html');
-      res.end(landingHTML);
+      res.end(generateLandingHTML(getBaseManifest(await taxonomyService.getTaxonomy())));
     }
   });
 
   // Handle configuration page (required when config is defined)
   if (hasConfig) {
-    app.get('/configure', (req, res) => {
+    app.get('/configure', async (req, res) => {
       res.setHeader('content-type', 'text/html');
-      res.end(landingHTML);
+      res.end(generateLandingHTML(getBaseManifest(await taxonomyService.getTaxonomy())));
     });
   }
 
+  // Live and per-user manifests must answer before the SDK router's static manifest
+  app.get(['/manifest.json', '/:config/manifest.json'], createManifestMiddleware(taxonomyService, addonInterface.accountService));
+
   app.use(getRouter(addonInterface));
 
+  // Upcoming releases as an iCalendar feed
+  app.get('/calendar.ics', createCalendarMiddleware(addonInterface.upcomingService));
+
+  // Adaptive master playlist behind the "Auto" stream
+  app.get('/hls/:key/master.m3u8', createHlsMiddleware());
+
+  // Signed stream proxy for players that can't send the CDN's Origin and Referer
+  app.get('/proxy/hls/:file', createHlsProxyMiddleware(addonInterface.hlsProxyService));
+
   // Try public/images first for Vercel, then images for local
   const publicImagesPath = path.join(__dirname, 'public', 'images');
   const imagesPath = path.join(__dirname, 'images');
@@ -185,7 +202,7 @@ function serveHTTP(addonInterface, opts = {}) {
   // Serve static CSS files
   app.use('/css', express.static(path.join(__dirname, 'public', 'css')));
 
-  app.get('/proxy/image/:id/:type', createImageProxyMiddleware(config, apiClient));
+  app.get('/proxy/image/:id/:type', createImageProxyMiddleware(config, apiClient, addonInterface.seriesIndex, addonInterface.searchIndex));
 
   const server = app.listen(opts.port);
 
@@ -211,6 +228,9 @@ function serveHTTP(addonInterface, opts = {}) {
       logger.info('='.repeat(60));
       logger.info('Waiting for requests...');
 
+      // Crawls and snapshots run here, not in the serverless function
+      addonInterface.startBackgroundTasks();
+
       resolve({ url, server });
     });
 
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toICalendar } = require('../lib/transformers/calendar_transformer');
+
+const RELEASED_AT = Date.UTC(2025, 0, 31, 12) / 1000;
+
+/**
+ * Get the unfolded content lines of a feed
+ * @param {string} feed - iCalendar document
+ * @returns {Array<string>} Content lines
+ */
+function unfold(feed) {
+  return feed.replace(/\r\n /g, '').split('\r\n');
+}
+
+test('releases become all-day events with escaped text', () => {
+  const lines = unfold(toICalendar([
+    { slug: 'title-1', name: 'Title; part 1, "uncut"', brand: 'Studio, Inc', released_at_unix: RELEASED_AT }
+  ], 'Upcoming'));
+
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20250131'));
+  assert.ok(lines.includes('DTEND;VALUE=DATE:20250201'));
+  assert.ok(lines.includes('SUMMARY:Title\\; part 1\\, "uncut"'));
+  assert.ok(lines.includes('CATEGORIES:Studio\\, Inc'));
+  assert.ok(lines.includes('URL:https://hanime.tv/videos/hentai/title-1'));
+  assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 1);
+});
+
+test('videos without a release time are skipped', () => {
+  const feed = toICalendar([{ slug: 'unknown-1', name: 'Unknown' }, null], 'Upcoming');
+
+  assert.equal(feed.includes('BEGIN:VEVENT'), false);
+  assert.ok(feed.endsWith('END:VCALENDAR\r\n'));
+});
+
+test('long lines are folded at 75 bytes without splitting characters', () => {
+  const name = 'é'.repeat(100);
+  const feed = toICalendar([{ slug: 'long-1', name, released_at_unix: RELEASED_AT }], 'Upcoming');
+
+  feed.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+  assert.ok(unfold(feed).includes(`SUMMARY:${name}`));
+});
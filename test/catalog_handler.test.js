@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../lib/config');
+const logger = require('../lib/logger');
+const CatalogHandler = require('../lib/handlers/catalog_handler');
+
+const PAGE_SIZE = 4;
+
+/**
+ * Create a handler over fixed upstream search pages
+ * @param {Array<Array<string>>} pages - Slugs per upstream page
+ * @param {Object} historyService - Watch history service
+ * @returns {CatalogHandler} Handler with a small page size
+ */
+function createHandler(pages, historyService = null) {
+  const apiClient = {
+    searchPage: async ({ page }) => ({
+      hits: (pages[page] || []).map((slug, index) => ({
+        id: page * PAGE_SIZE + index,
+        slug,
+        name: slug,
+        tags: [],
+        is_censored: !slug.endsWith('-uncensored')
+      })),
+      nbPages: pages.length
+    })
+  };
+
+  return new CatalogHandler(apiClient, logger, {
+    ...config,
+    pagination: { ...config.pagination, itemsPerPage: PAGE_SIZE }
+  }, null, null, null, null, null, historyService);
+}
+
+/**
+ * Get the slugs of a catalog window
+ * @param {CatalogHandler} handler - Catalog handler
+ * @param {Object} extra - Catalog extras
+ * @param {Object} userConfig - Addon configuration
+ * @returns {Promise<Array<string>>} Slugs
+ */
+async function getSlugs(handler, extra, userConfig = {}) {
+  const response = await handler.handle({ type: 'anime', id: 'hanime-mostviews', extra, config: userConfig });
+  return response.metas.map(meta => meta.id.replace('hanime:', ''));
+}
+
+test('variants crossing an upstream page boundary are listed once with full windows', async () => {
+  const handler = createHandler([
+    ['boundary-1', 'solo-a', 'solo-b', 'crossing-1'],
+    ['crossing-1-uncensored', 'solo-c', 'boundary-1-uncensored', 'solo-d'],
+    ['solo-e', 'solo-f', 'solo-g', 'solo-h']
+  ]);
+
+  const firstWindow = await getSlugs(handler, { search: 'boundary test' });
+  const secondWindow = await getSlugs(handler, { search: 'boundary test', skip: String(PAGE_SIZE) });
+
+  assert.deepEqual(firstWindow, ['boundary-1', 'solo-a', 'solo-b', 'crossing-1']);
+  assert.deepEqual(secondWindow, ['solo-c', 'solo-d', 'solo-e', 'solo-f']);
+});
+
+test('a variant left out by the censorship setting does not hide the other one on the next page', async () => {
+  const handler = createHandler([
+    ['only-1-uncensored', 'solo-a', 'solo-b', 'solo-c'],
+    ['only-1', 'solo-d']
+  ]);
+
+  const slugs = await getSlugs(handler, { search: 'censored only' }, { censorship: 'Censored only' });
+  assert.deepEqual(slugs, ['solo-a', 'solo-b', 'solo-c', 'only-1']);
+});
+
+test('watched titles are left out before windows are cut, without touching other users\' results', async () => {
+  const historyService = {
+    isAvailable: userConfig => Boolean(userConfig.email),
+    getWatchedKeys: async () => new Set(['watched-1', 'watched-2'])
+  };
+  const handler = createHandler([
+    ['watched-1', 'solo-a', 'watched-2-uncensored', 'solo-b'],
+    ['solo-c', 'solo-d', 'solo-e', 'solo-f']
+  ], historyService);
+  const watcher = { email: 'user@example.com', password: 'secret', hideWatched: 'true' };
+
+  const firstWindow = await getSlugs(handler, { search: 'hide watched' }, watcher);
+  const secondWindow = await getSlugs(handler, { search: 'hide watched', skip: String(PAGE_SIZE) }, watcher);
+  const everyone = await getSlugs(handler, { search: 'hide watched' });
+
+  assert.deepEqual(firstWindow, ['solo-a', 'solo-b', 'solo-c', 'solo-d']);
+  assert.deepEqual(secondWindow, ['solo-e', 'solo-f']);
+  assert.deepEqual(everyone, ['watched-1', 'solo-a', 'watched-2-uncensored', 'solo-b']);
+});
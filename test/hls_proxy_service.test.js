@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+
+const config = require('../lib/config');
+const HlsProxyService = require('../lib/services/hls_proxy_service');
+
+const PLAYLIST_URL = 'https://cdn.example/video/720/index.m3u8';
+
+/**
+ * Create an enabled proxy service
+ * @param {boolean} proxySegments - Also proxy segments
+ * @returns {HlsProxyService} Proxy service
+ */
+function createService(proxySegments = false) {
+  return new HlsProxyService({
+    streamProxy: { ...config.streamProxy, enabled: true, secret: 'test-secret', proxySegments }
+  });
+}
+
+/**
+ * Read the query of a proxy URL
+ * @param {string} proxyUrl - Proxy URL
+ * @returns {Object} { url, exp, sig }
+ */
+function getQuery(proxyUrl) {
+  return Object.fromEntries(new URL(proxyUrl).searchParams);
+}
+
+test('proxy URLs keep the file name and verify only as signed', () => {
+  const service = createService();
+  const proxyUrl = service.buildProxyUrl(PLAYLIST_URL);
+  const { url, exp, sig } = getQuery(proxyUrl);
+
+  assert.match(new URL(proxyUrl).pathname, /\/proxy\/hls\/index\.m3u8$/);
+  assert.equal(url, PLAYLIST_URL);
+  assert.equal(service.verify(url, exp, sig), true);
+  assert.equal(service.verify('https://evil.example/index.m3u8', exp, sig), false);
+  assert.equal(service.verify(url, String(Number(exp) + 1), sig), false);
+});
+
+test('playlists are rewritten to proxied keys and playlists with absolute segments', async () => {
+  const service = createService();
+  const body = [
+    '#EXTM3U',
+    '#EXT-X-KEY:METHOD=AES-128,URI="key.bin"',
+    '#EXTINF:4.0,',
+    'segment-1.ts',
+    '#EXTINF:4.0,',
+    'https://other.example/segment-2.ts'
+  ].join('\n');
+
+  const lines = (await service.readPlaylist({ data: Readable.from([body]) }, PLAYLIST_URL)).split('\n');
+  const keyUrl = lines[1].match(/URI="([^"]+)"/)[1];
+
+  assert.equal(getQuery(keyUrl).url, 'https://cdn.example/video/720/key.bin');
+  assert.equal(lines[3], 'https://cdn.example/video/720/segment-1.ts');
+  assert.equal(lines[5], 'https://other.example/segment-2.ts');
+});
+
+test('segments are proxied too when proxySegments is set', async () => {
+  const service = createService(true);
+  const playlist = await service.readPlaylist({ data: Readable.from(['#EXTINF:4.0,\nsegment-1.ts']) }, PLAYLIST_URL);
+  const segmentUrl = playlist.split('\n')[1];
+
+  assert.equal(getQuery(segmentUrl).url, 'https://cdn.example/video/720/segment-1.ts');
+  assert.equal(service.verify(...Object.values(getQuery(segmentUrl))), true);
+});
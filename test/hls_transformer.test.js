@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toMasterPlaylist, rewritePlaylist } = require('../lib/transformers/hls_transformer');
+
+const MASTER_URL = 'https://cdn.example/video/master.m3u8';
+
+test('the master playlist lists variants in order with their bandwidth and resolution', () => {
+  const playlist = toMasterPlaylist([
+    { url: 'https://cdn.example/1080.m3u8', width: 1920, height: 1080, filesize_mbs: 300, duration_in_ms: 1200000 },
+    { url: 'https://cdn.example/480.m3u8', height: 480 }
+  ]);
+
+  assert.equal(playlist, [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    '#EXT-X-INDEPENDENT-SEGMENTS',
+    '#EXT-X-STREAM-INF:BANDWIDTH=2097152,RESOLUTION=1920x1080',
+    'https://cdn.example/1080.m3u8',
+    '#EXT-X-STREAM-INF:BANDWIDTH=1920000',
+    'https://cdn.example/480.m3u8',
+    ''
+  ].join('\n'));
+});
+
+/**
+ * Rewrite a playlist, tagging every URI with its kind
+ * @param {Array<string>} lines - Playlist lines
+ * @returns {Array<string>} Rewritten lines
+ */
+function rewrite(lines) {
+  return rewritePlaylist(lines.join('\n'), MASTER_URL, (url, kind) => `${kind}:${url}`).split('\n');
+}
+
+test('URIs in a master playlist are resolved and rewritten as playlists', () => {
+  assert.deepEqual(rewrite([
+    '#EXTM3U',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",URI="audio/index.m3u8"',
+    '#EXT-X-STREAM-INF:BANDWIDTH=1000000',
+    '720/index.m3u8',
+    '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=100000,URI="/iframes.m3u8"'
+  ]), [
+    '#EXTM3U',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",URI="playlist:https://cdn.example/video/audio/index.m3u8"',
+    '#EXT-X-STREAM-INF:BANDWIDTH=1000000',
+    'playlist:https://cdn.example/video/720/index.m3u8',
+    '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=100000,URI="playlist:https://cdn.example/iframes.m3u8"'
+  ]);
+});
+
+test('keys, init segments and segments in a media playlist are rewritten by kind', () => {
+  assert.deepEqual(rewrite([
+    '#EXTM3U',
+    '#EXT-X-KEY:METHOD=AES-128,URI="https://keys.example/key.bin",IV=0x1',
+    '#EXT-X-MAP:URI="init.mp4"',
+    '#EXTINF:4.0,',
+    'segment-1.ts?token=abc',
+    '',
+    '#EXT-X-ENDLIST'
+  ]), [
+    '#EXTM3U',
+    '#EXT-X-KEY:METHOD=AES-128,URI="key:https://keys.example/key.bin",IV=0x1',
+    '#EXT-X-MAP:URI="segment:https://cdn.example/video/init.mp4"',
+    '#EXTINF:4.0,',
+    'segment:https://cdn.example/video/segment-1.ts?token=abc',
+    '',
+    '#EXT-X-ENDLIST'
+  ]);
+});
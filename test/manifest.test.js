@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const constants = require('../lib/constants');
+const { BASE_MANIFEST, CONFIG_FIELDS, getBaseManifest, buildManifest } = require('../lib/manifest');
+
+const MANIFEST_SIZE_LIMIT = 8192;
+
+// A live browse API payload is about this large
+const LIVE_TAXONOMY = {
+  genres: [...constants.genres, ...Array.from({ length: 8 }, (_, index) => `live tag ${index}`)],
+  brands: Array.from({ length: 150 }, (_, index) => `Live Studio ${index}`)
+};
+
+// Every personal catalog a configuration can add
+const FULL_USER_CONFIG = {
+  email: 'user@example.com',
+  password: 'secret',
+  genres: constants.genres.slice(0, constants.maxGenreCatalogs).join(',')
+};
+const PLAYLISTS = Array.from({ length: constants.maxPlaylistCatalogs }, (_, index) => ({
+  id: 1000 + index,
+  title: `Playlist ${index}`
+}));
+
+/**
+ * Get the IDs of catalogs with a genre picker
+ * @param {Object} manifest - Manifest
+ * @returns {Array<string>} Catalog IDs
+ */
+function getGenrePickerIds(manifest) {
+  return manifest.catalogs
+    .filter(catalog => (catalog.extra || []).some(extra => extra.name === 'genre' && extra.options && extra.options.length > 0))
+    .map(catalog => catalog.id);
+}
+
+const DEFAULT_PICKER_IDS = getGenrePickerIds(BASE_MANIFEST);
+
+test('default catalogs keep their genre picker within the size limit', () => {
+  const manifests = {
+    base: getBaseManifest(),
+    baseLive: getBaseManifest(LIVE_TAXONOMY),
+    configured: buildManifest(FULL_USER_CONFIG, undefined, PLAYLISTS),
+    configuredLive: buildManifest(FULL_USER_CONFIG, LIVE_TAXONOMY, PLAYLISTS)
+  };
+
+  assert.ok(DEFAULT_PICKER_IDS.length >= 7);
+
+  Object.entries(manifests).forEach(([name, manifest]) => {
+    assert.ok(JSON.stringify(manifest).length <= MANIFEST_SIZE_LIMIT, `${name} exceeds the size limit`);
+    assert.deepEqual(
+      getGenrePickerIds(manifest).filter(id => DEFAULT_PICKER_IDS.includes(id)),
+      DEFAULT_PICKER_IDS,
+      `${name} lost a genre picker`
+    );
+  });
+});
+
+test('configured manifests keep the account catalogs when dropping optional ones', () => {
+  const manifest = buildManifest(FULL_USER_CONFIG, LIVE_TAXONOMY, PLAYLISTS);
+  const ids = manifest.catalogs.map(catalog => catalog.id);
+
+  assert.ok(ids.includes(constants.catalogCategories.LIKED));
+  assert.ok(ids.includes(constants.catalogCategories.WATCH_LATER));
+  BASE_MANIFEST.catalogs.forEach(catalog => assert.ok(ids.includes(catalog.id), `${catalog.id} dropped`));
+});
+
+test('the manifest lists the credentials, the configure page every field', () => {
+  assert.deepEqual(BASE_MANIFEST.config.map(field => field.key), ['email', 'password']);
+  assert.ok(CONFIG_FIELDS.some(field => field.key === 'catalogs'));
+  assert.ok(CONFIG_FIELDS.length > BASE_MANIFEST.config.length);
+});
+
+test('serverless functions without a remote cache offer no watch history', () => {
+  // Config is read once per process, so the manifest is built in a child process with the function's env
+  const script = `
+    const { BASE_MANIFEST, CONFIG_FIELDS, buildManifest } = require('./lib/manifest');
+    console.log(JSON.stringify({
+      fields: CONFIG_FIELDS.map(field => field.key),
+      catalogs: buildManifest({ email: 'user@example.com', password: 'secret' }).catalogs.map(catalog => catalog.id)
+    }));
+  `;
+  const run = env => JSON.parse(execFileSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, LOG_LEVEL: 'silent', CACHE_REDIS_URL: '', REDIS_URL: '', CACHE_POSTGRES_URL: '', ...env }
+  }).toString());
+
+  const serverless = run({ AWS_LAMBDA_FUNCTION_NAME: 'addon' });
+  const server = run({ AWS_LAMBDA_FUNCTION_NAME: '', NETLIFY: '' });
+
+  assert.equal(serverless.fields.includes('hideWatched'), false);
+  assert.equal(serverless.catalogs.includes(constants.catalogCategories.HISTORY), false);
+  assert.equal(server.fields.includes('hideWatched'), true);
+  assert.equal(server.catalogs.includes(constants.catalogCategories.HISTORY), true);
+});
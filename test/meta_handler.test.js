@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../lib/config');
+const logger = require('../lib/logger');
+const MetaHandler = require('../lib/handlers/meta_handler');
+
+/**
+ * Create a handler over one video and a search index with the given titles
+ * @param {string} slug - Slug of the video
+ * @param {Array} indexedVideos - Titles in the search index (read on every request)
+ * @returns {MetaHandler} Meta handler
+ */
+function createHandler(slug, indexedVideos) {
+  const apiClient = {
+    getVideoData: async () => ({
+      hentai_video: {
+        id: 1,
+        slug,
+        name: slug,
+        hentai_tags: [{ text: 'milf' }, { text: 'ntr' }],
+        is_censored: true
+      }
+    })
+  };
+  const searchIndex = { add: () => {}, getVideos: () => indexedVideos };
+
+  return new MetaHandler(apiClient, logger, config, null, searchIndex);
+}
+
+/**
+ * Get the names of the "More like this" links
+ * @param {Object} response - Meta response
+ * @returns {Array<string>} Link names
+ */
+function getSimilarNames(response) {
+  return response.meta.links.filter(link => link.category === 'More like this').map(link => link.name);
+}
+
+test('similar title links follow each user\'s blacklist and censorship', async () => {
+  const handler = createHandler('similar-filters-1', [
+    { slug: 'shared-1', name: 'Shared', tags: ['milf', 'ntr'], is_censored: true },
+    { slug: 'scat-1', name: 'Scat', tags: ['ntr', 'scat'], is_censored: true },
+    { slug: 'uncensored-1', name: 'Uncensored', tags: ['milf'], is_censored: false }
+  ]);
+
+  const everyone = await handler.handle({ id: 'hanime:similar-filters-1', config: {} });
+  const filtered = await handler.handle({
+    id: 'hanime:similar-filters-1',
+    config: { blacklist: 'scat', censorship: 'Uncensored only' }
+  });
+
+  assert.deepEqual(getSimilarNames(everyone), ['Shared', 'Uncensored', 'Scat', 'See all']);
+  assert.deepEqual(getSimilarNames(filtered), ['Uncensored', 'See all']);
+  assert.equal('_similarTo' in filtered.meta, false);
+});
+
+test('similar title links show up once the search index fills', async () => {
+  const indexedVideos = [];
+  const handler = createHandler('similar-cold-1', indexedVideos);
+
+  const cold = await handler.handle({ id: 'hanime:similar-cold-1', config: {} });
+  indexedVideos.push({ slug: 'shared-1', name: 'Shared', tags: ['milf'], is_censored: true });
+  const warm = await handler.handle({ id: 'hanime:similar-cold-1', config: {} });
+
+  assert.deepEqual(getSimilarNames(cold), []);
+  assert.ok(cold.cacheMaxAge < config.cache.ttl.meta);
+  assert.deepEqual(getSimilarNames(warm), ['Shared', 'See all']);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Readable } = require('stream');
+const express = require('express');
+
+const createHlsProxyMiddleware = require('../lib/middleware/proxy_hls_middleware');
+
+/**
+ * Serve the proxy middleware on a random local port
+ * @param {Object} hlsProxyService - Proxy service
+ * @returns {Promise<http.Server>} Listening server
+ */
+function listen(hlsProxyService) {
+  const app = express();
+  app.get('/proxy/hls/:file', createHlsProxyMiddleware(hlsProxyService));
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * Request a proxy URL and read the whole answer
+ * @param {http.Server} server - Listening server
+ * @param {string} query - Proxy URL query
+ * @returns {Promise<Object>} { status, body } or { error } when the connection is cut
+ */
+function request(server, query) {
+  const { port } = server.address();
+
+  return new Promise((resolve) => {
+    http.get(`http://127.0.0.1:${port}/proxy/hls/segment.ts?${query}`, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString() }));
+      res.on('error', error => resolve({ error }));
+    }).on('error', error => resolve({ error }));
+  });
+}
+
+test('a disabled proxy answers 404 before checking signatures', async () => {
+  const server = await listen({
+    enabled: false,
+    verify: () => { throw new TypeError('no secret'); }
+  });
+
+  try {
+    const response = await request(server, 'url=https%3A%2F%2Fcdn.example%2Fa.ts&exp=9999999999&sig=abc');
+    assert.equal(response.status, 404);
+  } finally {
+    server.close();
+  }
+});
+
+test('a CDN dropping the connection mid-relay ends the response without crashing', { timeout: 5000 }, async () => {
+  const server = await listen({
+    enabled: true,
+    verify: () => true,
+    isPlaylist: () => false,
+    fetch: async () => {
+      const data = new Readable({ read() {} });
+      data.push('first bytes');
+      setTimeout(() => data.destroy(Object.assign(new Error('aborted'), { code: 'ECONNRESET' })), 20);
+
+      return { status: 200, headers: { 'content-type': 'video/mp2t', 'content-length': '1000' }, data };
+    }
+  });
+
+  try {
+    const response = await request(server, 'url=https%3A%2F%2Fcdn.example%2Fa.ts&exp=1&sig=abc');
+    assert.ok(response.error, 'the truncated response is cut, not completed');
+
+    // The server still answers afterwards
+    const next = await request(server, 'url=https%3A%2F%2Fcdn.example%2Fa.ts&exp=1&sig=abc');
+    assert.ok(next.error);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseSearchQuery } = require('../lib/utils/query_parser');
+
+test('filters are split from the free text', () => {
+  assert.deepEqual(parseSearchQuery('tag:ntr -tag:scat brand:"Pink Pineapple" year:2015-2018 sort:likes maid cafe'), {
+    text: 'maid cafe',
+    tags: ['ntr'],
+    excludedTags: ['scat'],
+    brands: ['Pink Pineapple'],
+    year: '2015-2018',
+    sort: 'Most Liked'
+  });
+});
+
+test('tag lists are normalized and repeated brands kept once', () => {
+  const parsed = parseSearchQuery('tag:"Big Boobs",MILF tag:milf brand:Studio brand:Studio');
+
+  assert.deepEqual(parsed.tags, ['big boobs', 'milf']);
+  assert.deepEqual(parsed.brands, ['Studio']);
+});
+
+test('unknown keys, invalid values and negated non-tag filters stay in the text', () => {
+  const parsed = parseSearchQuery('episode:2 year:soon sort:random -brand:Studio "exact phrase" tag:');
+
+  assert.equal(parsed.text, 'episode:2 year:soon sort:random -brand:Studio exact phrase tag:');
+  assert.deepEqual(parsed.brands, []);
+  assert.equal(parsed.year, null);
+  assert.equal(parsed.sort, null);
+});
+
+test('empty queries parse to no filters', () => {
+  assert.deepEqual(parseSearchQuery(''), { text: '', tags: [], excludedTags: [], brands: [], year: null, sort: null });
+  assert.deepEqual(parseSearchQuery(undefined).tags, []);
+});
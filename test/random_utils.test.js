@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { hashString, seededShuffle } = require('../lib/utils/random_utils');
+
+const ITEMS = Array.from({ length: 20 }, (_, index) => index);
+
+test('the same seed always gives the same order, so shuffled pages can be cached', () => {
+  const seed = hashString('2025-01-31');
+
+  assert.deepEqual(seededShuffle(ITEMS, seed), seededShuffle(ITEMS, seed));
+  assert.notDeepEqual(seededShuffle(ITEMS, seed), seededShuffle(ITEMS, seed + 1));
+});
+
+test('shuffling returns a permutation and leaves the input alone', () => {
+  const input = [...ITEMS];
+  const shuffled = seededShuffle(input, 42);
+
+  assert.deepEqual(input, ITEMS);
+  assert.deepEqual([...shuffled].sort((a, b) => a - b), ITEMS);
+  assert.notDeepEqual(shuffled, ITEMS);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+
+const { scheduleJob } = require('../lib/utils/schedule_utils');
+
+test('a scheduled job keeps running after a failed run until cancelled', async () => {
+  let runs = 0;
+  const cancel = scheduleJob(async () => {
+    runs++;
+    if (runs === 1) throw new Error('first run fails');
+  }, 0.01, 'Test job failed');
+
+  await sleep(100);
+  cancel();
+  const runsWhenCancelled = runs;
+  await sleep(50);
+
+  assert.ok(runsWhenCancelled >= 2);
+  assert.equal(runs, runsWhenCancelled);
+});
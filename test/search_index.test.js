@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../lib/config');
+const SearchIndex = require('../lib/services/search_index');
+
+/**
+ * Get the slugs found for a query in a fixed index
+ * @param {string} query - Search query
+ * @param {Object} params - Other search params
+ * @returns {Array<string>} Slugs, most relevant first
+ */
+function search(query, params = {}) {
+  const searchIndex = new SearchIndex({ ...config, searchIndex: { ...config.searchIndex, enabled: true } });
+
+  searchIndex.add([
+    { id: 1, slug: 'overflow-1', name: 'Overflow 1', brand: 'Studio A', tags: ['vanilla'], views: 10 },
+    { id: 2, slug: 'succubus-stayed-life-1', name: 'Succubus Stayed Life 1', brand: 'Studio B', tags: ['succubus'], views: 500 },
+    { id: 3, slug: 'kuroinu-1', name: 'Kuroinu 1', titles: [{ title: 'Black Dog' }], brand: 'Studio A', tags: ['fantasy'], views: 50 },
+    { id: 4, slug: 'life-2', name: 'Another Life 2', brand: 'Studio C', tags: ['vanilla'], views: 1000 }
+  ]);
+
+  return searchIndex.search({ query, ...params }, 0, 10).map(video => video.slug);
+}
+
+test('query words match with typos up to the tolerance of their length', () => {
+  assert.deepEqual(search('overflwo'), ['overflow-1']);
+  assert.deepEqual(search('sucubus'), ['succubus-stayed-life-1']);
+  assert.deepEqual(search('ovr'), []);
+  assert.deepEqual(search('kurionu'), ['kuroinu-1']);
+});
+
+test('every query word must match, alternate titles are searched and ties go to the most viewed', () => {
+  assert.deepEqual(search('black dog'), ['kuroinu-1']);
+  assert.deepEqual(search('succubus life'), ['succubus-stayed-life-1']);
+  assert.deepEqual(search('life'), ['life-2', 'succubus-stayed-life-1']);
+});
+
+test('prefixes match and search filters still apply', () => {
+  assert.deepEqual(search('over'), ['overflow-1']);
+  assert.deepEqual(search('vanilla', { brands: ['studio c'] }), ['life-2']);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../lib/config');
+const SeriesIndex = require('../lib/services/series_index');
+const { parseYearRange } = require('../lib/utils/date_utils');
+
+/**
+ * Create an episode of a series
+ * @param {string} series - Series slug
+ * @param {number} number - Episode number
+ * @param {Object} fields - Brand, release year, views and likes
+ * @returns {Object} Trimmed video
+ */
+function createEpisode(series, number, { brand, year, views = 0, likes = 0 }) {
+  const releasedAt = Date.UTC(year, 5, 1) / 1000;
+
+  return {
+    id: `${series}-${number}`,
+    slug: `${series}-${number}`,
+    name: `${series} ${number}`,
+    tags: [],
+    brand,
+    is_censored: true,
+    released_at_unix: releasedAt,
+    created_at_unix: releasedAt,
+    views,
+    likes
+  };
+}
+
+/**
+ * Create a ready series index over fixed series
+ * @returns {SeriesIndex} Series index
+ */
+function createIndex() {
+  const seriesIndex = new SeriesIndex(null, {
+    ...config,
+    seriesIndex: { ...config.seriesIndex, enabled: true }
+  });
+
+  seriesIndex.loadPromise = Promise.resolve();
+  seriesIndex._setIndex({
+    updatedAt: Date.now(),
+    series: [
+      {
+        id: 'series:newer',
+        baseName: 'Newer',
+        episodes: [
+          createEpisode('newer', 1, { brand: 'Studio A', year: 2021, views: 10, likes: 1 }),
+          createEpisode('newer', 2, { brand: 'Studio A', year: 2022, views: 10, likes: 1 })
+        ]
+      },
+      {
+        id: 'series:older',
+        baseName: 'Older',
+        episodes: [
+          createEpisode('older', 1, { brand: 'Studio B', year: 2015, views: 500, likes: 50 }),
+          createEpisode('older', 2, { brand: 'Studio B', year: 2016, views: 500, likes: 50 })
+        ]
+      }
+    ]
+  });
+
+  return seriesIndex;
+}
+
+/**
+ * Get the series IDs for a filter
+ * @param {Object} filter - Catalog filter
+ * @returns {Promise<Array<string>>} Series IDs
+ */
+async function getIds(filter) {
+  const items = await createIndex().getCatalogItems(filter);
+  return items.map(item => item.id);
+}
+
+test('series are filtered by studio and release year', async () => {
+  assert.deepEqual(await getIds({ brands: ['studio b'] }), ['series:older']);
+  assert.deepEqual(await getIds({ releaseRange: parseYearRange('2022') }), ['series:newer']);
+  assert.deepEqual(await getIds({ brands: ['Studio A'], releaseRange: parseYearRange('2015') }), []);
+});
+
+test('series are sorted by the requested field', async () => {
+  assert.deepEqual(await getIds({}), ['series:newer', 'series:older']);
+  assert.deepEqual(await getIds({ orderBy: 'views', ordering: 'desc' }), ['series:older', 'series:newer']);
+  assert.deepEqual(await getIds({ orderBy: 'released_at_unix', ordering: 'asc' }), ['series:older', 'series:newer']);
+  assert.deepEqual(await getIds({ orderBy: 'title_sortable', ordering: 'asc' }), ['series:newer', 'series:older']);
+});
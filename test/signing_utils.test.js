@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { sign, verifySignature } = require('../lib/utils/signing_utils');
+
+const SECRET = 'test-secret';
+const URL_TO_SIGN = 'https://cdn.example/video/720.m3u8';
+
+/**
+ * Get a Unix time in seconds relative to now
+ * @param {number} offset - Seconds from now
+ * @returns {number} Unix time in seconds
+ */
+function fromNow(offset) {
+  return Math.floor(Date.now() / 1000) + offset;
+}
+
+test('a signature made with the secret verifies until it expires', () => {
+  const expires = fromNow(60);
+
+  assert.equal(verifySignature(URL_TO_SIGN, String(expires), sign(URL_TO_SIGN, expires, SECRET), SECRET), true);
+  assert.equal(verifySignature(URL_TO_SIGN, fromNow(-1), sign(URL_TO_SIGN, fromNow(-1), SECRET), SECRET), false);
+});
+
+test('a tampered URL, expiry or secret is rejected', () => {
+  const expires = fromNow(60);
+  const signature = sign(URL_TO_SIGN, expires, SECRET);
+
+  assert.equal(verifySignature(`${URL_TO_SIGN}?other`, expires, signature, SECRET), false);
+  assert.equal(verifySignature(URL_TO_SIGN, expires + 3600, signature, SECRET), false);
+  assert.equal(verifySignature(URL_TO_SIGN, expires, signature, 'other-secret'), false);
+});
+
+test('malformed signatures and expiries are rejected without throwing', () => {
+  const expires = fromNow(60);
+  const signature = sign(URL_TO_SIGN, expires, SECRET);
+
+  assert.equal(verifySignature(URL_TO_SIGN, expires, signature.slice(0, -1), SECRET), false);
+  assert.equal(verifySignature(URL_TO_SIGN, expires, `${signature}A`, SECRET), false);
+  assert.equal(verifySignature(URL_TO_SIGN, expires, undefined, SECRET), false);
+  assert.equal(verifySignature(URL_TO_SIGN, 'soon', signature, SECRET), false);
+  assert.equal(verifySignature(undefined, expires, signature, SECRET), false);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../lib/config');
+const constants = require('../lib/constants');
+const TaxonomyService = require('../lib/services/taxonomy_service');
+
+/**
+ * Create a service over a browse API stub, counting its calls
+ * @param {Function} getTaxonomy - Browse API stub
+ * @returns {Object} { service, calls }
+ */
+function createService(getTaxonomy) {
+  const calls = [];
+  const service = new TaxonomyService({
+    getTaxonomy: async () => {
+      calls.push(Date.now());
+      return getTaxonomy();
+    }
+  }, config);
+
+  return { service, calls };
+}
+
+// Runs first: failed loads are not cached, so the next test still reaches its stub
+test('a failed first load serves the static lists without retrying on every call', async () => {
+  const { service, calls } = createService(() => {
+    throw new Error('browse API down');
+  });
+
+  assert.deepEqual(await service.getTaxonomy(), constants.staticTaxonomy);
+  assert.deepEqual(await service.getTaxonomy(), constants.staticTaxonomy);
+  assert.equal(calls.length, 1);
+});
+
+test('without scheduled refreshes the first call loads the live lists once', async () => {
+  const { service, calls } = createService(() => ({ tags: ['live tag'], brands: ['Studio B', 'Studio A'] }));
+
+  assert.deepEqual(await service.getTaxonomy(), { genres: ['live tag'], brands: ['Studio A', 'Studio B'] });
+  await service.getTaxonomy();
+  assert.equal(calls.length, 1);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../lib/config');
+const TrendingService = require('../lib/services/trending_service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.now();
+const BASE_TIME = NOW - 3 * DAY_MS;
+
+/**
+ * Create a current search hit
+ * @param {number} id - Video ID
+ * @param {Object} fields - views, likes, tags and created_at_unix
+ * @returns {Object} Search hit
+ */
+function createHit(id, { views, likes = 0, tags = [], createdAt = BASE_TIME - 30 * DAY_MS }) {
+  return { id, slug: `video-${id}`, name: `Video ${id}`, tags, views, likes, created_at_unix: Math.floor(createdAt / 1000) };
+}
+
+/**
+ * Create a service with a snapshot from three days ago and take the current one
+ * @returns {Promise<TrendingService>} Trending service
+ */
+async function createService() {
+  const hits = [
+    createHit(1, { views: 150 }),
+    createHit(2, { views: 1010 }),
+    createHit(3, { views: 30, createdAt: BASE_TIME + DAY_MS }),
+    createHit(4, { views: 500 }),
+    createHit(5, { views: 200 }),
+    createHit(6, { views: 60, likes: 5 }),
+    createHit(7, { views: 400, tags: ['scat'] })
+  ];
+  const service = new TrendingService({
+    searchPage: async () => ({ hits, nbPages: 1 })
+  }, {
+    ...config,
+    trending: { ...config.trending, enabled: true, snapshotPages: 1, crawlDelayMs: 0 }
+  });
+
+  // Titles 4 (older, missing from the base) and 5 (no growth) can't trend
+  service.localSnapshots.set(`trending:${new Date(BASE_TIME).toISOString().slice(0, 10)}`, {
+    takenAt: BASE_TIME,
+    counts: { 1: [100, 0], 2: [1000, 0], 5: [200, 0], 6: [50, 0], 7: [100, 0] }
+  });
+  await service.refresh();
+
+  return service;
+}
+
+test('titles are ranked by view growth since the oldest snapshot in the window', async () => {
+  const service = await createService();
+  const ids = videos => videos.map(video => video.id);
+
+  // Growth: 7 → 300, 1 → 50, 3 → 30 (new upload), 6 and 2 → 10 (likes break the tie)
+  assert.deepEqual(ids(await service.getTrending(7)), [7, 1, 3, 6, 2]);
+  assert.deepEqual(ids(await service.getTrending(7, { blacklist: ['scat'] })), [1, 3, 6, 2]);
+});
+
+test('windows without an older snapshot list nothing', async () => {
+  const service = await createService();
+
+  assert.deepEqual(await service.getTrending(1), []);
+});
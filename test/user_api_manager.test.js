@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EntitlementTiers } = require('../lib/constants');
+const UserApiManager = require('../lib/clients/user_api_manager');
+
+const EMAIL = 'user@example.com';
+const PASSWORD = 'secret';
+
+/**
+ * Create a manager with one cached session, counting the logins it would do instead
+ * @param {Object} session - Cached session fields besides the token, email and expiry
+ * @returns {Promise<Object>} { manager, logins }
+ */
+async function createManager(session) {
+  const manager = new UserApiManager();
+  const logins = [];
+  const cacheKey = manager._getCacheKey(manager.getCredentialsHash(EMAIL, PASSWORD));
+
+  await manager.sessionCache.stores[0].set(cacheKey, {
+    sessionToken: 'token',
+    email: EMAIL,
+    expiresAt: Date.now() + 60 * 60 * 1000,
+    ...session
+  });
+  manager._initializeUserApi = async (email) => {
+    logins.push(email);
+    return { fresh: true };
+  };
+
+  return { manager, logins };
+}
+
+test('cached sessions keep the premium tier they were stored with', async () => {
+  const { manager, logins } = await createManager({ userId: 1, isPremium: true });
+  const userApi = await manager.getUserApi(EMAIL, PASSWORD);
+
+  assert.equal(userApi.getEntitlementTier(), EntitlementTiers.PREMIUM);
+  assert.deepEqual(logins, []);
+});
+
+test('sessions cached without a premium status log in again', async () => {
+  const { manager, logins } = await createManager({ userId: 1 });
+  const userApi = await manager.getUserApi(EMAIL, PASSWORD);
+
+  assert.deepEqual(userApi, { fresh: true });
+  assert.deepEqual(logins, [EMAIL]);
+});
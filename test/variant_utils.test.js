@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CensorshipModes } = require('../lib/constants');
+const {
+  parseCensorshipMode,
+  isCensoredVideo,
+  getVariantKey,
+  filterByCensorship,
+  mergeVariants
+} = require('../lib/utils/variant_utils');
+
+const CENSORED = { slug: 'overflow-1', is_censored: true };
+const UNCENSORED = { slug: 'overflow-1-uncensored', is_censored: false };
+const UNKNOWN = { slug: 'kuroinu-1', name: 'Kuroinu 1' };
+
+test('variants of a release share one key', () => {
+  assert.equal(getVariantKey(CENSORED), 'overflow-1');
+  assert.equal(getVariantKey(UNCENSORED), 'overflow-1');
+  assert.equal(getVariantKey({ slug: 'Title-Censored-2' }), 'title-2');
+});
+
+test('censorship comes from the flags, then from the name', () => {
+  assert.equal(isCensoredVideo(CENSORED), true);
+  assert.equal(isCensoredVideo({ isCensored: false }), false);
+  assert.equal(isCensoredVideo({ name: 'Title 1 Uncensored' }), false);
+  assert.equal(isCensoredVideo(UNKNOWN), null);
+});
+
+test('censorship modes keep videos of unknown censorship', () => {
+  const videos = [CENSORED, UNCENSORED, UNKNOWN];
+
+  assert.equal(parseCensorshipMode('anything'), CensorshipModes.ALL);
+  assert.deepEqual(filterByCensorship(videos, CensorshipModes.ALL), videos);
+  assert.deepEqual(filterByCensorship(videos, CensorshipModes.CENSORED), [CENSORED, UNKNOWN]);
+  assert.deepEqual(filterByCensorship(videos, CensorshipModes.UNCENSORED), [UNCENSORED, UNKNOWN]);
+});
+
+test('merging keeps the first variant of each release in list order', () => {
+  assert.deepEqual(mergeVariants([UNCENSORED, UNKNOWN, CENSORED]), [UNCENSORED, UNKNOWN]);
+  assert.deepEqual(mergeVariants(null), []);
+});